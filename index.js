@@ -2,26 +2,36 @@ const Glyphs = require('./src/glyphs');
 const Sprites = require('./src/sprites');
 const Styles = require('./src/styles');
 const Pmtiles = require('./src/pmtiles');
+const Bundles = require('./src/bundles');
+const Bandwidth = require('./src/bandwidth');
+const Schedule = require('./src/schedule');
+const Cache = require('./src/cache');
 const Tiles = require('./src/tiles');
 const Contours = require('./src/contours');
 const Bathymetry = require('./src/bathymetry');
 const Soundings = require('./src/soundings');
 const Composite = require('./src/composite');
+const Tides = require('./src/tides');
 
 module.exports = function(app) {
-  const seamap = { app, options: {} };
+  const seamap = { id: 'signalk-seamap-plugin', app, options: {} };
   const styles = new Styles(seamap);
   const sprites = new Sprites(seamap);
   const glyphs = new Glyphs(seamap);
-  const pmtiles = new Pmtiles(seamap);
-  const tiles = new Tiles(seamap, pmtiles);
+  const bandwidth = new Bandwidth(seamap);
+  const schedule = new Schedule(seamap);
+  const pmtiles = new Pmtiles(seamap, bandwidth, schedule);
+  const bundles = new Bundles(seamap, pmtiles);
+  const cache = new Cache(seamap);
+  const tiles = new Tiles(seamap, pmtiles, cache, bandwidth);
   const contours = new Contours(seamap, tiles);
   const bathymetry = new Bathymetry(seamap, tiles);
   const soundings = new Soundings(seamap, contours);
-  const composite = new Composite(seamap, tiles, contours, bathymetry, soundings);
+  const tides = new Tides(seamap);
+  const composite = new Composite(seamap, tiles, contours, bathymetry, soundings, tides);
 
   return {
-    id: 'signalk-seamap-plugin',
+    id: seamap.id,
     name: 'Global Seacharts based on OSM/Gebco/Emod',
     schema: () => ({
       title: 'Seamap Charts',
@@ -32,6 +42,12 @@ module.exports = function(app) {
           title: 'Path to store offline pmtiles',
           default: `${app.config.configPath}/seamap/pmtiles`
         },
+        mbtilesPath: {
+          type: 'string',
+          title: 'Path for MBTiles files',
+          description: 'Every *.mbtiles file in this folder is available as tile source named after the file',
+          default: `${app.config.configPath}/seamap/mbtiles`
+        },
         stylesPath: {
           type: 'string',
           title: 'Path for MapLibreGL stylesheets.',
@@ -42,32 +58,260 @@ module.exports = function(app) {
           title: 'Path to cache downloaded and generated tiles.',
           default: `${app.config.configPath}/seamap/tiles`
         },
+        offlineMode: {
+          type: 'boolean',
+          title: 'Offline mode',
+          description: 'Never fetch tiles online, only use cached tiles and downloaded sectors (e.g. on metered connections)',
+          default: false
+        },
+        bandwidthLimit: {
+          type: 'number',
+          title: 'Bandwidth limit (kB/s)',
+          description: 'Limits sector downloads and online tile fetches together, e.g. on shared marina Wi-Fi or metered connections (0 = unlimited)',
+          default: 0
+        },
+        downloadWindows: {
+          type: 'string',
+          title: 'Download time windows',
+          description: 'Comma separated local time windows (e.g. 22:00-06:00, 12:00-13:00), queued downloads pause outside and resume automatically (empty = any time)',
+          default: ''
+        },
+        downloadNetworks: {
+          type: 'string',
+          title: 'Download networks',
+          description: 'Comma separated Wi-Fi network names (SSID), queued downloads pause on other networks and resume automatically (empty = any network)',
+          default: ''
+        },
+        tilesQuota: {
+          type: 'number',
+          title: 'Tile cache quota (MB)',
+          description: 'Least recently used tiles are removed when the cache grows beyond this size, tiles inside downloaded sectors are kept (0 = unlimited)',
+          default: 0
+        },
+        contourUnit: {
+          type: 'string',
+          title: 'Contour line unit',
+          description: 'Unit of the contour intervals and of the level property of contour lines',
+          enum: ['m', 'ft'],
+          default: 'm'
+        },
+        contourIntervals: {
+          type: 'array',
+          title: 'Contour intervals',
+          description: 'Contour line interval per min zoom level (in the contour unit), every fifth line is an index contour',
+          items: {
+            type: 'object',
+            required: ['minzoom', 'interval'],
+            properties: {
+              minzoom: { type: 'number', title: 'Min zoom' },
+              interval: { type: 'number', title: 'Interval' }
+            }
+          },
+          default: [
+            { minzoom: 0, interval: 500 },
+            { minzoom: 8, interval: 200 },
+            { minzoom: 10, interval: 100 },
+            { minzoom: 11, interval: 50 },
+            { minzoom: 12, interval: 20 },
+            { minzoom: 13, interval: 10 }
+          ]
+        },
+        depthUnit: {
+          type: 'string',
+          title: 'Depth unit',
+          description: 'Default unit of bathymetry and soundings (m, ft or fm), can be overridden per request with depth_unit',
+          enum: ['m', 'ft', 'fm'],
+          default: 'm'
+        },
         bathymetryDepthLevels: {
           type: 'string',
           title: 'Bathymety contour lines',
-          description: 'comma separated string with all depth levels for bathymetry contourlines',
+          description: 'comma separated string with all depth levels for bathymetry contourlines, in the default depth unit',
           default: '0,2,5,10,20,50'
         },
+        underKeelClearance: {
+          type: 'number',
+          title: 'Under-keel clearance (m)',
+          description: 'Added to the vessel draft (design.draft) for the safety depth: the safety contour and the shading of unsafe depth areas',
+          default: 1
+        },
+        defaultDraft: {
+          type: 'number',
+          title: 'Draft (m)',
+          description: 'Vessel draft for the safety depth when design.draft is not available in Signal K',
+          default: 2
+        },
+        datumOffsets: {
+          type: 'object',
+          title: 'Datum offsets of built-in DEM sources (m)',
+          description: 'Added to the depths to refer them to chart datum, e.g. -1.5 for a mean sea level DEM with chart datum 1.5 m below',
+          properties: Object.fromEntries(Pmtiles.SOURCES().filter(source => source.encoding).map(source => [source.name, {
+            type: 'number',
+            title: source.name,
+            default: 0
+          }]))
+        },
+        tideCorrection: {
+          type: 'boolean',
+          title: 'Depth now',
+          description: 'Serve soundings at the current tide height (environment.tide.heightNow) with ?tide=now',
+          default: false
+        },
+        tideStationRange: {
+          type: 'number',
+          title: 'Tide station range (nm)',
+          description: 'Predicted heights of the nearest tide station within this distance are published to environment.tide (0 = any distance)',
+          default: 50
+        },
+        sources: {
+          type: 'array',
+          title: 'Additional tile sources',
+          description: 'User-defined sources (e.g. regional bathymetry or harbour surveys), a source with the name of a built-in source replaces it',
+          items: {
+            type: 'object',
+            required: ['name', 'url'],
+            properties: {
+              name: {
+                type: 'string',
+                title: 'Name',
+                description: 'Letters, digits, "_" and "-" only, used in tile URLs'
+              },
+              url: {
+                type: 'string',
+                title: 'URL or local path',
+                description: 'Online archive URL, URL template with {z}/{x}/{y} for xyz or path of a local file (relative to the pmtiles path), MBTiles only as local file'
+              },
+              type: {
+                type: 'string',
+                title: 'Type',
+                enum: ['pmtiles', 'mbtiles', 'xyz'],
+                default: 'pmtiles'
+              },
+              scheme: {
+                type: 'string',
+                title: 'Tile scheme (xyz only)',
+                description: 'Use tms for servers with flipped y rows, or use {-y} in the URL template',
+                enum: ['xyz', 'tms'],
+                default: 'xyz'
+              },
+              minzoom: {
+                type: 'number',
+                title: 'Min zoom',
+                default: 0
+              },
+              maxzoom: {
+                type: 'number',
+                title: 'Max zoom',
+                default: 14
+              },
+              format: {
+                type: 'string',
+                title: 'Tile format',
+                enum: ['pbf', 'png', 'jpg', 'webp'],
+                default: 'pbf'
+              },
+              tileSize: {
+                type: 'number',
+                title: 'Tile size (raster only)',
+                default: 256
+              },
+              encoding: {
+                type: 'string',
+                title: 'DEM encoding',
+                description: 'Set for elevation/bathymetry rasters, usable for contours, bathymetry and soundings',
+                enum: ['', 'terrarium', 'mapbox'],
+                default: ''
+              },
+              datumOffset: {
+                type: 'number',
+                title: 'Datum offset (m, DEM only)',
+                description: 'As in "Datum offsets of built-in DEM sources"',
+                default: 0
+              },
+              attribution: {
+                type: 'string',
+                title: 'Attribution'
+              },
+              userAgent: {
+                type: 'string',
+                title: 'User-Agent',
+                description: 'User-Agent header for online requests (default: signalk-seamap-plugin/<version>)'
+              },
+              headers: {
+                type: 'array',
+                title: 'HTTP headers',
+                description: 'Additional headers for online requests (e.g. API keys)',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string', title: 'Name' },
+                    value: { type: 'string', title: 'Value' }
+                  }
+                }
+              },
+              maxAge: {
+                type: 'number',
+                title: 'Max age (days)',
+                default: 7
+              },
+              maxStale: {
+                type: 'number',
+                title: 'Max stale (days)',
+                default: 30
+              }
+            }
+          }
+        },
+        freshness: {
+          type: 'object',
+          title: 'Tile freshness of built-in sources',
+          description: 'Per source: tiles younger than max age are served from cache/offline PMTiles, expired tiles within max stale are served at once and refreshed in background',
+          properties: Object.fromEntries(Pmtiles.SOURCES().map(source => [source.name, {
+            type: 'object',
+            title: source.name,
+            properties: {
+              maxAge: {
+                type: 'number',
+                title: 'Max age (days)',
+                default: 7
+              },
+              maxStale: {
+                type: 'number',
+                title: 'Max stale (days)',
+                default: 30
+              }
+            }
+          }]))
+        },
       }
     }),
     start: function(options) {
       this.started = true;
       seamap.options = options;
-      tiles.initializeTileCache();
+      cache.initialize();
+      schedule.initialize();
+      pmtiles.initialize();
+      tides.initialize();
+      tiles.checkConnectivity();
     },
     stop: function() {
       this.started = false;
+      pmtiles.stop();
+      tides.stop();
     },
     registerWithRouter: function(router) {
       styles.middleware(router);
       sprites.middleware(router);
       glyphs.middleware(router);
       pmtiles.middleware(router);
+      bundles.middleware(router);
+      cache.middleware(router);
       tiles.middleware(router);
       contours.middleware(router);
       bathymetry.middleware(router);
       soundings.middleware(router);
       composite.middleware(router);
+      tides.middleware(router);
     },
     getOpenApi: () => require('./openApi'),
     app: app
@@ -0,0 +1,60 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+const BURST = 1000; // unused bandwidth of up to 1 second may be used at once (ms)
+const MIN_READ_SIZE = 16 * 1024;
+
+/**
+ * Bandwidth class limits sector downloads and online tile fetches to `bandwidthLimit` kB/s (0 = unlimited)
+ * Token bucket shared by all transfers: take(bytes) waits until the bytes fit into the limit
+ */
+class Bandwidth {
+  constructor(seamap) {
+    this.seamap = seamap;
+    this.next = 0; // time when all granted bytes are transferred at the limit
+  }
+
+  // Limit in bytes per second, 0 = unlimited
+  limit() {
+    return Math.max(0, Number(this.seamap.options.bandwidthLimit) || 0) * 1024;
+  }
+
+  // Max bytes per remote read, larger reads are split to spread the transfer evenly
+  readSize() {
+    const limit = this.limit();
+    return limit ? Math.max(MIN_READ_SIZE, Math.floor(limit / 4)) : Infinity;
+  }
+
+  /**
+   * Wait until bytes may be transferred, rejects when the signal is aborted
+   */
+  async take(bytes, signal) {
+    const limit = this.limit();
+    if (!limit) return;
+
+    const now = Date.now();
+    const duration = bytes / limit * 1000;
+    this.next = Math.max(this.next, now - BURST) + duration;
+    if (this.next > now) {
+      try {
+        await sleep(this.next - now, undefined, { signal });
+      } catch (err) {
+        // aborted before the transfer, release its time for the other transfers
+        this.next -= duration;
+        throw err;
+      }
+    }
+  }
+
+  // PMTiles source with throttled reads
+  wrap(source) {
+    return {
+      getKey: () => source.getKey(),
+      getBytes: async (offset, length, signal, etag) => {
+        await this.take(length, signal);
+        return source.getBytes(offset, length, signal, etag);
+      }
+    };
+  }
+}
+
+module.exports = Bandwidth;
@@ -1,8 +1,13 @@
+const crypto = require('crypto');
 const Contours = require('./contours');
 const generateIsobands = require('./maplibre-contour/isobands.js').default;
 const encodeVectorTile = require('./maplibre-contour/vtpbf.js').default;
 const { GeomType } = require('./maplibre-contour/vtpbf.js');
 const Pmtiles = require('./pmtiles');
+const { UNITS, DEPTH_LEVELS, parseDepthUnit, toUnit } = require('./units');
+
+const DEFAULT_DRAFT = 2; // m, without design.draft in Signal K
+const DEFAULT_UNDER_KEEL_CLEARANCE = 1; // m
 
 // Shoelace signed area for flat [x,y,x,y,...] ring
 function ringSignedArea(ring) {
@@ -72,12 +77,13 @@ class Bathymetry extends Contours {
   }
 
   /**
-   * Get bathymetry depth levels from config
+   * Get bathymetry depth levels (in unit) from config
+   * Configured levels are in the default depth unit, other units use their chart depth contours
    */
-  getBathymetryDepthLevels() {
-    const defaultLevels = [2, 5, 10, 20, 50];
+  getBathymetryDepthLevels(unit = parseDepthUnit(null, this.seamap.options)) {
+    const defaultLevels = DEPTH_LEVELS[unit];
 
-    if (!this.seamap.options?.bathymetryDepthLevels) {
+    if (!this.seamap.options?.bathymetryDepthLevels || unit !== parseDepthUnit(null, this.seamap.options)) {
       return defaultLevels;
     }
 
@@ -90,12 +96,26 @@ class Bathymetry extends Contours {
   }
 
   /**
-   * Generate bathymetry tile with isobands (filled polygons)
+   * Safety depth in metres: vessel draft (Signal K design.draft) plus under-keel clearance
+   * Rounded to decimetres, so a fluctuating current draft does not regenerate all tiles
    */
-  async generateBathymetryTile(name, z, x, y, overzoom = 1) {
-    const depthLevels = this.getBathymetryDepthLevels();
-    // Convert to negative elevations (below sea level)
-    const elevations = depthLevels.map(depth => -Math.abs(depth));
+  getSafetyDepth() {
+    const { defaultDraft, underKeelClearance } = this.seamap.options;
+    const design = this.seamap.app?.getSelfPath?.('design.draft.value');
+    const draft = [design?.maximum, design?.current, design?.canoe, defaultDraft]
+      .map(value => parseFloat(value))
+      .find(value => value > 0) ?? DEFAULT_DRAFT;
+    const clearance = parseFloat(underKeelClearance);
+    return Math.round((draft + (clearance >= 0 ? clearance : DEFAULT_UNDER_KEEL_CLEARANCE)) * 10) / 10;
+  }
+
+  /**
+   * Generate bathymetry tile with isobands (filled polygons), depths in unit
+   */
+  async generateBathymetryTile(name, z, x, y, overzoom = 1, unit = parseDepthUnit(null, this.seamap.options)) {
+    const depthLevels = this.getBathymetryDepthLevels(unit);
+    // Convert to negative elevations (below sea level) in metres
+    const elevations = depthLevels.map(depth => -Math.abs(depth) * UNITS[unit]);
 
     // Add levels for shallow areas:
     // - Add level for dry/land areas (above 0m): use a high positive value (100m)
@@ -103,18 +123,22 @@ class Bathymetry extends Contours {
     // Result: [100, 0, -2, -5, -10, ...] creates ranges: 0-100m (land), -2-0m (shallow), -5--2m, etc.
     const extendedElevations = [10000, 0, ...elevations.sort((a, b) => b - a)];
 
-    return this.generateTile(name, z, x, y, overzoom, extendedElevations);
+    return this.generateTile(name, z, x, y, overzoom, extendedElevations, unit, this.getSafetyDepth(), this.getDatumOffset(name));
   }
 
   /**
-   * Generate isobands tile (filled polygons between elevation levels)
+   * Generate isobands tile (filled polygons between elevation levels in metres), depth properties in unit
+   * The safety depth (metres) splits the bands: depth areas are marked safe or unsafe and
+   * the safety contour is written to its own layer
+   * Depths are referred to chart datum with the datum offset (metres) of the source
    */
-  async generateTile(name, z, x, y, overzoom, levels) {
+  async generateTile(name, z, x, y, overzoom, levels, unit = 'm', safetyDepth = 0, datumOffset = 0) {
     let heightTile = await this.loadHeightTileWithNeighbors(name, z, x, y, overzoom);
 
     if (!heightTile) {
       return null;
     }
+    heightTile = this.correctDepths(heightTile, datumOffset);
 
     // Upscale for smoother contours
     const subsampleBelow = 60;
@@ -129,26 +153,29 @@ class Bathymetry extends Contours {
 
     heightTile = heightTile.averagePixelCentersToGrid().materialize(1);
 
-    // Generate isobands using marching-squares
-    const allIsobandRanges = generateIsobands(levels, heightTile, 4096, 1);
+    // Generate isobands using marching-squares, with the safety depth as additional band limit
+    const bandLevels = levels.includes(-safetyDepth) ? levels : [...levels, -safetyDepth].sort((a, b) => b - a);
+    const allIsobandRanges = generateIsobands(bandLevels, heightTile, 4096, 1);
 
     // Convert isobands to vector tile features (polygons)
     const polygonFeatures = [];
     const lineFeatures = [];
+    const safetyFeatures = [];
 
     // Scaling factor to convert tile coordinates back to heightTile coordinates
     const tileToHeightScale = (heightTile.width - 1) / 4096;
 
     for (const [rangeKey, polygons] of Object.entries(allIsobandRanges)) {
       // rangeKey format: "lower:upper:level" (e.g., "-10:-5:2")
-      const [lowerStr, upperStr, level] = rangeKey.split(':');
+      const [lowerStr, upperStr] = rangeKey.split(':');
       const lower = parseFloat(lowerStr);
       const upper = parseFloat(upperStr);
 
       const properties = {
-        depth_min: Math.abs(upper), // upper is less negative (shallower)
-        depth_max: Math.abs(lower), // lower is more negative (deeper)
-        level: parseInt(level)
+        depth_min: toUnit(Math.abs(upper), unit), // upper is less negative (shallower)
+        depth_max: toUnit(Math.abs(lower), unit), // lower is more negative (deeper)
+        level: levels.filter(l => l >= upper).length - 1, // band of the configured levels, also for bands split at the safety depth
+        safe: -upper >= safetyDepth
       };
 
       // Separate outer rings (CW in tile coords) from holes (CCW)
@@ -199,24 +226,27 @@ class Bathymetry extends Contours {
           const distToLower = Math.abs(sampledElevation - lower);
           const distToUpper = Math.abs(sampledElevation - upper);
           if (distToLower < distToUpper) {
-            lineFeatures.push({
+            const feature = {
               type: GeomType.LINESTRING,
               geometry: [segment],
               properties: {
-                depth: Math.abs(lower),
+                depth: toUnit(Math.abs(lower), unit),
               }
-            });
+            };
+            if (lower === -safetyDepth) safetyFeatures.push(feature);
+            if (levels.includes(lower)) lineFeatures.push(feature);
           }
         }
       }
     }
 
-    // Encode to MVT/PBF with two layers: polygons and labels
+    // Encode to MVT/PBF with three layers: polygons, labels and the safety contour
     return Buffer.from(encodeVectorTile({
       extent: 4096,
       layers: {
         depth_areas: { features: polygonFeatures },
-        depth_contours: { features: lineFeatures }
+        depth_contours: { features: lineFeatures },
+        safety_contour: { features: safetyFeatures }
       }
     }));
   }
@@ -225,7 +255,7 @@ class Bathymetry extends Contours {
    * Get bathymetry tile (unified interface like tiles.getTile)
    * Returns { timestamp, data: Buffer } or null
    */
-  async getTile(name, z, x, y) {
+  async getTile(name, z, x, y, unit = parseDepthUnit(null, this.seamap.options)) {
     const zNum = parseInt(z);
     const xNum = parseInt(x);
     const yNum = parseInt(y);
@@ -234,20 +264,21 @@ class Bathymetry extends Contours {
       return null;
     }
 
-    // Check cache first
-    let cachedTile = this.tiles.getCachedTile('bathymetry', name, zNum, xNum, yNum);
+    // Check cache first, tiles of other units, depth levels, safety depths and datum offsets are cached under another key
+    const cacheSource = this.cacheSource(name, unit);
+    let cachedTile = this.tiles.getCachedTile('bathymetry', cacheSource, zNum, xNum, yNum);
     let sourceTile = await this.tiles.getTile(name, zNum, xNum, yNum).catch(() => null);
 
     // Regenerate if cache is missing or source is newer
     if (!cachedTile || (sourceTile?.timestamp > cachedTile.timestamp)) {
-      const tileData = await this.generateBathymetryTile(name, zNum, xNum, yNum);
+      const tileData = await this.generateBathymetryTile(name, zNum, xNum, yNum, 1, unit);
 
       if (!tileData) {
         return null;
       }
 
       // Save to cache
-      this.tiles.saveTileToCache('bathymetry', name, zNum, xNum, yNum, tileData);
+      this.tiles.saveTileToCache('bathymetry', cacheSource, zNum, xNum, yNum, tileData);
 
       return {
         timestamp: Date.now(),
@@ -261,11 +292,21 @@ class Bathymetry extends Contours {
     };
   }
 
+  // Cache source of bathymetry tiles in unit: "{name}@{unit}-{hash of depth levels, safety depth and datum offset}"
+  cacheSource(name, unit) {
+    const settings = JSON.stringify([this.getBathymetryDepthLevels(unit), this.getSafetyDepth(), this.getDatumOffset(name)]);
+    return `${name}@${unit}-${crypto.createHash('sha1').update(settings).digest('hex').slice(0, 8)}`;
+  }
+
   async deliverBathymetryTileJSON(req, res) {
     const { name } = req.params;
+    const unit = parseDepthUnit(req.query.depth_unit, this.seamap.options);
+    if (!unit) {
+      return res.status(400).json({ error: 'Invalid depth_unit parameter', message: 'Depth unit must be m, ft or fm' });
+    }
 
     // Verify source exists
-    const source = Pmtiles.SOURCES().find(s => s.name === name);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     if (!source) {
       return res.status(404).send('Source not found');
     }
@@ -279,25 +320,36 @@ class Bathymetry extends Contours {
       version: '1.0.0',
       attribution: source.attribution || '',
       scheme: 'xyz',
-      tiles: [`${req.query.base_url || ''}/plugins/signalk-seamap-plugin/bathymetry/${name}/{z}/{x}/{y}.pbf`],
+      tiles: [`${req.query.base_url || ''}/plugins/signalk-seamap-plugin/bathymetry/${name}/{z}/{x}/{y}.pbf${req.query.depth_unit ? `?depth_unit=${unit}` : ''}`],
       minzoom: source.minzoom + 1, // because of overzoom=1
       maxzoom: 14,
       bounds: [-180, -85, 180, 85],
       center: [0, 0, 1],
       format: 'pbf',
+      depth_unit: unit,
+      safety_depth: toUnit(this.getSafetyDepth(), unit),
+      datum_offset: toUnit(this.getDatumOffset(name), unit),
       vector_layers: [
         {
           id: 'depth_areas',
-          description: 'Filled polygons for depth ranges',
+          description: `Filled polygons for depth ranges (${unit})`,
           fields: {
             depth_min: 'Number',
             depth_max: 'Number',
-            level: 'Number'
+            level: 'Number',
+            safe: 'Boolean'
           }
         },
         {
           id: 'depth_contours',
-          description: 'Contour lines for labeling the deeper boundaries',
+          description: `Contour lines for labeling the deeper boundaries (${unit})`,
+          fields: {
+            depth: 'Number'
+          }
+        },
+        {
+          id: 'safety_contour',
+          description: `Contour line at the safety depth: draft plus under-keel clearance (${unit})`,
           fields: {
             depth: 'Number'
           }
@@ -308,16 +360,18 @@ class Bathymetry extends Contours {
 
   async deliverBathymetryTile(req, res) {
     const { name, z, x, y } = req.params;
+    const unit = parseDepthUnit(req.query.depth_unit, this.seamap.options);
+    if (!unit) {
+      return res.status(400).json({ error: 'Invalid depth_unit parameter', message: 'Depth unit must be m, ft or fm' });
+    }
 
-    const tile = await this.getTile(name, z, x, y);
+    const tile = await this.getTile(name, z, x, y, unit);
 
     if (!tile) {
       return res.status(204).send();
     }
 
-    res.set('Content-Type', 'application/x-protobuf');
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(tile.data);
+    await this.tiles.sendTile(req, res, tile, 'application/x-protobuf', { backend: 'bathymetry', source: this.cacheSource(name, unit), z: parseInt(z), x: parseInt(x), y: parseInt(y) });
   }
 
   middleware(router) {
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const tar = require('tar-stream');
+
+const BUNDLE_FORMAT = 'signalk-seamap-bundle';
+const BUNDLE_VERSION = 1;
+const EXPORT_ITEM = /^(\d+\/\d+\/\d+|area\/[\w-]+)$/;
+// Sector "{z}_{x}_{y}/" or area "areas/{id}/" directory with its archives and metadata
+const BUNDLE_ENTRY = /^(\d+_\d+_\d+|areas\/[\w-]+)\/([\w-]+\.pmtiles|manifest\.json|area\.json)$/;
+const MAX_JSON_SIZE = 4 * 1024 * 1024;
+
+// Error for invalid bundles and request parameters, sent as 400 response
+function invalid(error, message) {
+  return Object.assign(new Error(message), { status: 400, error });
+}
+
+// Error for bundles larger than the free disk space, sent as 507 response
+function insufficientStorage(message) {
+  return Object.assign(new Error(message), { status: 507, error: 'Insufficient storage' });
+}
+
+/**
+ * Bundles class exports downloaded sectors/areas as a single tar archive and imports such archives,
+ * e.g. to share charts between boats via USB stick
+ * Layout: {z}_{x}_{y}/*.pmtiles, areas/{id}/*.pmtiles with manifest.json (and area.json),
+ * bundle.json as last entry lists all files with size and SHA-256
+ */
+class Bundles {
+  constructor(seamap, pmtiles) {
+    this.seamap = seamap;
+    this.pmtiles = pmtiles;
+  }
+
+  // Bundle directory of a sector ("z/x/y") or area ("area/{id}")
+  bundleDir(item) {
+    return item.startsWith('area/') ? `areas/${item.slice(5)}` : item.replace(/\//g, '_');
+  }
+
+  // Queue item of a bundle directory
+  bundleItem(dir) {
+    return dir.startsWith('areas/') ? `area/${dir.slice(6)}` : dir.replace(/_/g, '/');
+  }
+
+  // Add a file to the tar stream, resolves with its SHA-256
+  addFile(pack, name, file, size) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      const entry = pack.entry({ name, size }, (err) => err ? reject(err) : resolve(hash.digest('hex')));
+      const input = fs.createReadStream(file);
+      input.on('data', chunk => hash.update(chunk));
+      input.on('error', reject);
+      input.pipe(entry);
+    });
+  }
+
+  // GET /pmtiles/export?tiles=6/34/22,area/{id} - Stream downloaded sectors/areas as tar archive
+  async export(req, res) {
+    const items = String(req.query.tiles || '').split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length === 0 || items.some(item => !EXPORT_ITEM.test(item))) {
+      return res.status(400).json({
+        error: 'Invalid tiles parameter',
+        message: 'Tiles must be a comma separated list of z/x/y sectors or area/{id}'
+      });
+    }
+
+    const dirs = [];
+    for (const item of [...new Set(items)]) {
+      const dir = this.pmtiles.itemDir(item);
+      const names = await fs.promises.readdir(dir).catch(() => null);
+      const files = (names || []).filter(name => BUNDLE_ENTRY.test(`${this.bundleDir(item)}/${name}`));
+      if (!files.some(name => name.endsWith('.pmtiles'))) {
+        return res.status(404).json({ error: 'Not downloaded', message: `${item} is not downloaded` });
+      }
+      dirs.push({ item, dir, files });
+    }
+
+    const pack = tar.pack();
+    const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, created: new Date(), items: [] };
+    const filename = `seamap-${new Date().toISOString().slice(0, 10)}.tar`;
+    res.setHeader('Content-Type', 'application/x-tar');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.on('close', () => pack.destroy());
+    pack.pipe(res);
+
+    try {
+      for (const { item, dir, files } of dirs) {
+        const entry = { item, dir: this.bundleDir(item), files: [] };
+        for (const name of files) {
+          const { size } = await fs.promises.stat(path.join(dir, name));
+          const sha256 = await this.addFile(pack, `${entry.dir}/${name}`, path.join(dir, name), size);
+          entry.files.push({ name, size, sha256 });
+        }
+        bundle.items.push(entry);
+      }
+      pack.entry({ name: 'bundle.json' }, JSON.stringify(bundle, null, 2));
+      pack.finalize();
+    } catch (err) {
+      // headers are sent, abort the transfer so the client sees an incomplete archive
+      console.error('Error exporting sectors:', err);
+      pack.destroy();
+      res.destroy();
+    }
+  }
+
+  /**
+   * Extract a tar stream into the staging directory
+   * Resolves with the parsed bundle.json and size/SHA-256 of all extracted files
+   * free: bytes available on disk, extraction is aborted when the extracted files exceed it
+   */
+  extract(input, staging, free = Infinity) {
+    return new Promise((resolve, reject) => {
+      const extract = tar.extract();
+      const files = {};
+      let bundle = null;
+      let extracted = 0;
+
+      extract.on('entry', (header, stream, next) => {
+        const name = header.name.replace(/^\.\//, '');
+        if (header.type === 'directory') {
+          stream.resume();
+          return next();
+        }
+        if (header.type !== 'file' || (name !== 'bundle.json' && !BUNDLE_ENTRY.test(name))) {
+          return extract.destroy(invalid('Invalid bundle', `Unexpected entry ${header.name}`));
+        }
+
+        if (name === 'bundle.json') {
+          if (header.size > MAX_JSON_SIZE) return extract.destroy(invalid('Invalid bundle', 'bundle.json too large'));
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('end', () => {
+            try {
+              bundle = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+              next();
+            } catch (err) {
+              extract.destroy(invalid('Invalid bundle', 'bundle.json is not valid JSON'));
+            }
+          });
+          return;
+        }
+
+        const target = path.join(staging, name);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        fs.promises.mkdir(path.dirname(target), { recursive: true }).then(() => {
+          const output = fs.createWriteStream(target);
+          stream.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+            extracted += chunk.length;
+            if (extracted > free) {
+              output.destroy();
+              extract.destroy(insufficientStorage(`Bundle exceeds the ${free} bytes free`));
+            }
+          });
+          output.on('error', err => extract.destroy(err));
+          output.on('finish', () => {
+            files[name] = { size, sha256: hash.digest('hex') };
+            next();
+          });
+          stream.pipe(output);
+        }, err => extract.destroy(err));
+      });
+
+      extract.on('finish', () => resolve({ bundle, files }));
+      extract.on('error', (err) => {
+        input.unpipe(extract);
+        input.resume();
+        reject(err.status ? err : invalid('Invalid bundle', `Not a tar archive: ${err.message}`));
+      });
+      input.on('aborted', () => reject(new Error('Upload aborted')));
+      input.pipe(extract);
+    });
+  }
+
+  /**
+   * Check the extracted files against bundle.json and the archive headers
+   * Returns the bundle directories to install
+   */
+  async validate(staging, bundle, files) {
+    if (!bundle) throw invalid('Invalid bundle', 'bundle.json missing');
+    if (bundle.format !== BUNDLE_FORMAT || bundle.version !== BUNDLE_VERSION || !Array.isArray(bundle.items)) {
+      throw invalid('Invalid bundle', `Unsupported bundle format ${bundle.format} version ${bundle.version}`);
+    }
+    if (bundle.items.length === 0) throw invalid('Invalid bundle', 'Bundle contains no sectors');
+
+    const listed = new Set();
+    const dirs = [];
+    for (const item of bundle.items) {
+      const dir = item?.dir;
+      if (typeof dir !== 'string' || !Array.isArray(item.files) || dirs.includes(dir)) {
+        throw invalid('Invalid bundle', `Invalid bundle entry ${dir}`);
+      }
+      const match = /^(\d+)_(\d+)_(\d+)$/.exec(dir);
+      if (match && (+match[2] >= 2 ** +match[1] || +match[3] >= 2 ** +match[1])) {
+        throw invalid('Invalid bundle', `Invalid sector ${dir}`);
+      }
+
+      for (const { name, size, sha256 } of item.files) {
+        const file = `${dir}/${name}`;
+        if (!BUNDLE_ENTRY.test(file)) throw invalid('Invalid bundle', `Invalid file ${file}`);
+        if (!files[file]) throw invalid('Invalid bundle', `${file} missing`);
+        if (files[file].size !== size || files[file].sha256 !== sha256) {
+          throw invalid('Invalid bundle', `${file} is corrupt (size or checksum mismatch)`);
+        }
+        listed.add(file);
+      }
+
+      const names = item.files.map(file => file.name);
+      if (!names.some(name => name.endsWith('.pmtiles'))) throw invalid('Invalid bundle', `${dir} contains no archives`);
+      for (const name of names.filter(name => name.endsWith('.pmtiles'))) {
+        await this.checkArchive(path.join(staging, dir, name), `${dir}/${name}`);
+      }
+      if (dir.startsWith('areas/')) await this.checkArea(path.join(staging, dir, 'area.json'), dir);
+      if (names.includes('manifest.json')) {
+        try {
+          JSON.parse(await fs.promises.readFile(path.join(staging, dir, 'manifest.json'), 'utf8'));
+        } catch (err) {
+          throw invalid('Invalid bundle', `${dir}/manifest.json is not valid JSON`);
+        }
+      }
+      dirs.push(dir);
+    }
+
+    const unlisted = Object.keys(files).find(file => !listed.has(file));
+    if (unlisted) throw invalid('Invalid bundle', `${unlisted} is not listed in bundle.json`);
+    return dirs;
+  }
+
+  // PMTiles v3 header check
+  async checkArchive(file, name) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+      const header = Buffer.alloc(127);
+      const { bytesRead } = await handle.read(header, 0, 127, 0);
+      if (bytesRead < 127 || header.toString('ascii', 0, 7) !== 'PMTiles' || header[7] !== 3) {
+        throw invalid('Invalid bundle', `${name} is not a PMTiles v3 archive`);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Area definition needs the cover tiles for lookups
+  async checkArea(file, dir) {
+    try {
+      const area = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (Array.isArray(area.tiles) && Number.isInteger(area.zoom)) return;
+    } catch (err) {
+      // reported below
+    }
+    throw invalid('Invalid bundle', `${dir}/area.json missing or invalid`);
+  }
+
+  /**
+   * Move all bundle directories into place, replacing existing sectors/areas
+   * Replaced directories are kept in the staging directory until all moves succeeded,
+   * on failure the previous state is restored
+   */
+  async install(staging, dirs) {
+    const tilesPath = this.seamap.options.pmtilesPath;
+    const backups = path.join(staging, '.replaced');
+    const done = [];
+    try {
+      for (const dir of dirs) {
+        const target = path.join(tilesPath, dir);
+        const backup = path.join(backups, dir);
+        const step = { source: path.join(staging, dir), target, backup: null };
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        if (fs.existsSync(target)) {
+          await fs.promises.mkdir(path.dirname(backup), { recursive: true });
+          await fs.promises.rename(target, backup);
+          step.backup = backup;
+        }
+        done.push(step);
+        await fs.promises.rename(step.source, target);
+        step.installed = true;
+      }
+    } catch (err) {
+      for (const step of done.reverse()) {
+        if (step.installed) await fs.promises.rename(step.target, step.source).catch(() => {});
+        if (step.backup) await fs.promises.rename(step.backup, step.target).catch(() => {});
+      }
+      throw err;
+    }
+  }
+
+  // POST /pmtiles/import - Install sectors/areas from a tar archive created by /pmtiles/export
+  async import(req, res) {
+    const tilesPath = this.seamap.options.pmtilesPath;
+    if (!tilesPath) {
+      return res.status(500).json({ error: 'No pmtiles path configured' });
+    }
+
+    // uploads without content-length (chunked) are checked while extracting
+    const length = Number(req.headers['content-length']);
+    const disk = await this.pmtiles.getFreeSpace();
+    if (disk && length > disk.free) {
+      return res.status(507).json({
+        error: 'Insufficient storage',
+        message: `Bundle needs ${length} bytes, ${disk.free} bytes free`
+      });
+    }
+
+    const staging = path.join(tilesPath, `.import-${Date.now().toString(36)}`);
+    let result;
+    try {
+      await fs.promises.mkdir(staging, { recursive: true });
+      const { bundle, files } = await this.extract(req, staging, disk?.free);
+      const dirs = await this.validate(staging, bundle, files);
+      await this.install(staging, dirs);
+
+      const items = dirs.map(dir => this.bundleItem(dir));
+      result = {
+        status: 'imported',
+        tiles: items.filter(item => !item.startsWith('area/')),
+        areas: items.filter(item => item.startsWith('area/')).map(item => item.slice(5)),
+        size: Object.values(files).reduce((sum, file) => sum + file.size, 0)
+      };
+    } catch (err) {
+      if (!err.status) console.error('Error importing bundle:', err);
+      result = err;
+    }
+
+    // staging directory holds rejected files and replaced sectors
+    await fs.promises.rm(staging, { recursive: true, force: true }).catch(() => {});
+    if (result instanceof Error) {
+      return res.status(result.status || 500).json({ error: result.error || 'Import failed', message: result.message });
+    }
+    res.json(result);
+  }
+
+  middleware(router) {
+    router.get('/pmtiles/export', this.export.bind(this));
+    router.post('/pmtiles/import', this.import.bind(this));
+    return router;
+  }
+}
+
+module.exports = Bundles;
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = ['tiles', 'overzoom', 'contours', 'bathymetry', 'soundings', 'composite'];
+const ENCODING_EXTENSIONS = { gzip: '.gz', br: '.br' };
+
+/**
+ * Cache class stores downloaded and generated tiles in the filesystem
+ * Layout: {tilesPath}/{backend}/{source}/{z}/{x}/{y}, compressed variants as {y}.gz / {y}.br
+ * Keeps an in-memory index (size, last access) per backend and all tiles in LRU order for eviction
+ */
+class Cache {
+  constructor(seamap) {
+    this.seamap = seamap;
+    this.backends = {}; // key: backend, value: Map(key: "source/z/x/y", value: { size, atime, mtime })
+    this.lru = new Map(); // key: "backend/source/z/x/y", value: [backend, key], least recently used first
+    this.protected = null; // { key, covers, parents, zooms } tiles of downloaded sectors and areas
+    this.size = 0;
+    this.evicting = false;
+  }
+
+  /**
+   * Create cache directory and build the index from the files on disk
+   */
+  async initialize() {
+    this.backends = {};
+    this.lru = new Map();
+    this.size = 0;
+
+    try {
+      if (!fs.existsSync(this.seamap.options.tilesPath)) {
+        fs.mkdirSync(this.seamap.options.tilesPath, { recursive: true });
+      }
+      await this.scan();
+      this.evict();
+    } catch (err) {
+      console.error('Error initializing tile cache:', err);
+    }
+  }
+
+  /**
+   * Walk the cache directory and add all tiles to the index
+   * Last access is initialized from file atime (or mtime if atime is older)
+   */
+  async scan() {
+    const walk = async (dir, parts) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath, [...parts, entry.name]);
+        } else if (parts.length === 4) {
+          const stats = await fs.promises.stat(entryPath).catch(() => null);
+          if (stats) {
+            const [backend, ...key] = [...parts, entry.name];
+            this.track(backend, key.join('/'), stats.size, Math.max(stats.atimeMs, stats.mtimeMs), stats.mtimeMs);
+          }
+        }
+      }
+    };
+    await walk(this.seamap.options.tilesPath, []);
+
+    // files are found in directory order, sort once by last access
+    const entries = [...this.lru.values()].sort(([a, keyA], [b, keyB]) => this.backends[a].get(keyA).atime - this.backends[b].get(keyB).atime);
+    this.lru = new Map(entries.map(([backend, key]) => [`${backend}/${key}`, [backend, key]]));
+  }
+
+  /**
+   * Add or update a tile in the index
+   */
+  track(backend, key, size, atime, mtime) {
+    if (!this.backends[backend]) this.backends[backend] = new Map();
+    const index = this.backends[backend];
+    const previous = index.get(key);
+    if (previous) this.size -= previous.size;
+    index.set(key, { size, atime, mtime });
+    this.size += size;
+    // most recently used at the end
+    const id = `${backend}/${key}`;
+    this.lru.delete(id);
+    this.lru.set(id, [backend, key]);
+  }
+
+  /**
+   * Remove a tile from the index
+   */
+  untrack(backend, key) {
+    const index = this.backends[backend];
+    const entry = index?.get(key);
+    if (entry) {
+      this.size -= entry.size;
+      index.delete(key);
+      this.lru.delete(`${backend}/${key}`);
+    }
+  }
+
+  tileKey(source, z, x, y, encoding) {
+    return `${source}/${z}/${x}/${y}${ENCODING_EXTENSIONS[encoding] || ''}`;
+  }
+
+  tilePath(backend, source, z, x, y, encoding) {
+    return path.join(this.seamap.options.tilesPath, backend, this.tileKey(source, z, x, y, encoding));
+  }
+
+  /**
+   * Get tile from cache, optionally a compressed variant (encoding: gzip, br)
+   * Returns { data: () => Buffer, timestamp } or null
+   */
+  get(backend, source, z, x, y, encoding) {
+    if (!this.seamap.options.tilesPath) return null;
+
+    try {
+      const tilePath = this.tilePath(backend, source, z, x, y, encoding);
+      if (fs.existsSync(tilePath)) {
+        const stats = fs.statSync(tilePath);
+        this.track(backend, this.tileKey(source, z, x, y, encoding), stats.size, Date.now(), stats.mtimeMs);
+        return {
+          data: () => fs.readFileSync(tilePath),
+          timestamp: stats.mtimeMs
+        };
+      }
+      return null;
+    } catch (err) {
+      console.error('Error getting cached tile:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Save tile (or a compressed variant) to cache and evict least recently used tiles if the quota is exceeded
+   * Saving the uncompressed tile removes its outdated compressed variants
+   */
+  save(backend, source, z, x, y, data, encoding) {
+    if (!this.seamap.options.tilesPath) return;
+
+    try {
+      const tilePath = this.tilePath(backend, source, z, x, y, encoding);
+      const tileDir = path.dirname(tilePath);
+
+      if (!fs.existsSync(tileDir)) {
+        fs.mkdirSync(tileDir, { recursive: true });
+      }
+
+      const buffer = Buffer.from(data);
+      fs.writeFileSync(tilePath, buffer);
+      const now = Date.now();
+      this.track(backend, this.tileKey(source, z, x, y, encoding), buffer.length, now, now);
+
+      if (!encoding) {
+        for (const variant of Object.keys(ENCODING_EXTENSIONS)) {
+          const variantPath = this.tilePath(backend, source, z, x, y, variant);
+          if (fs.existsSync(variantPath)) {
+            fs.unlinkSync(variantPath);
+            this.untrack(backend, this.tileKey(source, z, x, y, variant));
+          }
+        }
+      }
+
+      this.evict();
+    } catch (err) {
+      console.error('Error saving tile to cache:', err);
+    }
+  }
+
+  /**
+   * Get cache quota in bytes (0 = unlimited)
+   */
+  getQuota() {
+    return Math.max(0, this.seamap.options.tilesQuota || 0) * 1024 * 1024;
+  }
+
+  /**
+   * List downloaded PMTiles sectors and the cover tiles of downloaded areas as [z, x, y]
+   */
+  getSectors() {
+    const Pmtiles = require('./pmtiles');
+    const areas = Pmtiles.getAreas(this.seamap.options).flatMap(area => area.tiles.map(([x, y]) => [area.zoom, x, y]));
+    try {
+      return fs.readdirSync(this.seamap.options.pmtilesPath)
+        .filter(name => /^\d+_\d+_\d+$/.test(name))
+        .map(name => name.split('_').map(Number))
+        .concat(areas);
+    } catch (err) {
+      return areas;
+    }
+  }
+
+  /**
+   * Sectors and area cover tiles as "z/x/y" keys with their parents and zoom levels
+   * Rebuilt only when the sector or area directories change
+   */
+  getProtected() {
+    const { pmtilesPath } = this.seamap.options;
+    const mtime = dir => {
+      try {
+        return fs.statSync(dir).mtimeMs;
+      } catch (err) {
+        return 0;
+      }
+    };
+    const key = pmtilesPath ? `${mtime(pmtilesPath)}:${mtime(path.join(pmtilesPath, 'areas'))}` : '';
+    if (this.protected?.key === key) return this.protected;
+
+    const covers = new Set();
+    const parents = new Set();
+    const zooms = new Set();
+    for (const [sz, sx, sy] of this.getSectors()) {
+      covers.add(`${sz}/${sx}/${sy}`);
+      zooms.add(sz);
+      for (let z = sz - 1; z >= 0; z--) {
+        const scale = Math.pow(2, sz - z);
+        parents.add(`${z}/${Math.floor(sx / scale)}/${Math.floor(sy / scale)}`);
+      }
+    }
+    this.protected = { key, covers, parents, zooms: [...zooms] };
+    return this.protected;
+  }
+
+  /**
+   * Check if a tile lies inside (or contains) a downloaded PMTiles sector
+   */
+  isInSector(z, x, y) {
+    const { covers, parents, zooms } = this.getProtected();
+    const key = `${z}/${x}/${y}`;
+    if (covers.has(key) || parents.has(key)) return true;
+    return zooms.some(sz => {
+      if (sz >= z) return false;
+      const scale = Math.pow(2, z - sz);
+      return covers.has(`${sz}/${Math.floor(x / scale)}/${Math.floor(y / scale)}`);
+    });
+  }
+
+  /**
+   * Remove least recently used tiles until the cache is below 90% of the quota
+   * Tiles inside downloaded PMTiles sectors are never evicted
+   */
+  async evict() {
+    const quota = this.getQuota();
+    if (!quota || this.size <= quota || this.evicting) return;
+
+    this.evicting = true;
+    try {
+      const target = quota * 0.9;
+      // tiles saved while evicting are evicted in another pass, until only kept tiles are left
+      let evicted = true;
+      while (this.size > target && evicted) {
+        evicted = false;
+        let remaining = this.lru.size;
+        for (const [id, [backend, key]] of this.lru) {
+          if (this.size <= target || remaining-- <= 0) break;
+
+          const [source, z, x, y] = key.split('/');
+          if (this.isInSector(parseInt(z), parseInt(x), parseInt(y))) {
+            // kept tiles move to the end, later evictions do not skip them again
+            this.lru.delete(id);
+            this.lru.set(id, [backend, key]);
+            continue;
+          }
+
+          await fs.promises.unlink(this.tilePath(backend, source, z, x, y)).catch(() => {});
+          this.untrack(backend, key);
+          evicted = true;
+        }
+      }
+    } catch (err) {
+      console.error('Error evicting tiles from cache:', err);
+    } finally {
+      this.evicting = false;
+    }
+  }
+
+  /**
+   * Convert bbox (west, south, east, north) to tile range at zoom z
+   */
+  bboxToTileRange([west, south, east, north], z) {
+    const n = Math.pow(2, z);
+    const clamp = v => Math.max(0, Math.min(n - 1, v));
+    const lngToX = lng => clamp(Math.floor((lng + 180) / 360 * n));
+    const latToY = lat => {
+      const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+      return clamp(Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n));
+    };
+    return { minX: lngToX(west), maxX: lngToX(east), minY: latToY(north), maxY: latToY(south) };
+  }
+
+  // GET /cache - Tile counts, bytes and timestamps per backend and source
+  stats(req, res) {
+    const summary = () => ({ count: 0, bytes: 0, oldest: null, newest: null });
+    const add = (stats, key, entry) => {
+      // compressed variants only count as bytes
+      if (!/\.(gz|br)$/.test(key)) stats.count++;
+      stats.bytes += entry.size;
+      if (!stats.oldest || entry.mtime < stats.oldest) stats.oldest = entry.mtime;
+      if (!stats.newest || entry.mtime > stats.newest) stats.newest = entry.mtime;
+    };
+    const toDates = stats => ({
+      ...stats,
+      oldest: stats.oldest && new Date(stats.oldest),
+      newest: stats.newest && new Date(stats.newest)
+    });
+
+    const backends = {};
+    for (const backend of BACKENDS) {
+      const total = summary();
+      const sources = {};
+      for (const [key, entry] of this.backends[backend] || []) {
+        const source = key.split('/')[0];
+        if (!sources[source]) sources[source] = summary();
+        add(total, key, entry);
+        add(sources[source], key, entry);
+      }
+      backends[backend] = {
+        ...toDates(total),
+        sources: Object.fromEntries(Object.entries(sources).map(([name, stats]) => [name, toDates(stats)]))
+      };
+    }
+
+    res.json({
+      tilesPath: this.seamap.options.tilesPath,
+      quota: this.getQuota(),
+      bytes: this.size,
+      backends
+    });
+  }
+
+  // DELETE /cache?backend=tiles&source=osm&minzoom=0&maxzoom=14&bbox=w,s,e,n - Purge cached tiles
+  async purge(req, res) {
+    const { backend, source, minzoom, maxzoom, bbox } = req.query;
+
+    if (backend && !BACKENDS.includes(backend)) {
+      return res.status(400).json({
+        error: 'Invalid backend parameter',
+        message: `Backend must be one of ${BACKENDS.join(', ')}`
+      });
+    }
+    // source name with optional settings key ("{name}@{key}", e.g. "emod@m+0.5")
+    if (source && !/^[\w-]+(@[\w.+-]+)?$/.test(source)) {
+      return res.status(400).json({ error: 'Invalid source parameter' });
+    }
+
+    const minZoom = minzoom !== undefined ? parseInt(minzoom) : 0;
+    const maxZoom = maxzoom !== undefined ? parseInt(maxzoom) : Infinity;
+    if (isNaN(minZoom) || isNaN(maxZoom)) {
+      return res.status(400).json({ error: 'Invalid zoom parameter' });
+    }
+
+    let bounds = null;
+    if (bbox) {
+      bounds = bbox.split(',').map(parseFloat);
+      if (bounds.length !== 4 || bounds.some(isNaN)) {
+        return res.status(400).json({
+          error: 'Invalid bbox parameter',
+          message: 'bbox must be in format west,south,east,north'
+        });
+      }
+    }
+
+    const ranges = {};
+    let tiles = 0;
+    let bytes = 0;
+
+    for (const name of backend ? [backend] : BACKENDS) {
+      const index = this.backends[name];
+      if (!index) continue;
+
+      for (const [key, entry] of [...index]) {
+        const [tileSource, z, x, y] = key.split('/');
+        const zNum = parseInt(z);
+        // generated tiles of other settings are cached as "{source}@{settings}"
+        if (source && tileSource !== source && !tileSource.startsWith(`${source}@`)) continue;
+        if (zNum < minZoom || zNum > maxZoom) continue;
+        if (bounds) {
+          if (!ranges[zNum]) ranges[zNum] = this.bboxToTileRange(bounds, zNum);
+          const { minX, maxX, minY, maxY } = ranges[zNum];
+          const xNum = parseInt(x);
+          const yNum = parseInt(y);
+          if (yNum < minY || yNum > maxY) continue;
+          // bbox may cross the antimeridian (west > east)
+          if (minX <= maxX ? (xNum < minX || xNum > maxX) : (xNum < minX && xNum > maxX)) continue;
+        }
+
+        await fs.promises.unlink(this.tilePath(name, tileSource, z, x, y)).catch(() => {});
+        this.untrack(name, key);
+        tiles++;
+        bytes += entry.size;
+      }
+    }
+
+    res.json({
+      status: 'deleted',
+      tiles,
+      bytes
+    });
+  }
+
+  middleware(router) {
+    router.get('/cache', this.stats.bind(this));
+    router.delete('/cache', this.purge.bind(this));
+    return router;
+  }
+}
+
+module.exports = Cache;
@@ -2,40 +2,47 @@ const Pmtiles = require('./pmtiles');
 const Pbf = require('pbf').default;
 const { VectorTile } = require('@mapbox/vector-tile');
 const encodeVectorTile = require('./maplibre-contour/vtpbf.js').default;
+const { overzoomTile, OVERZOOM_MAXZOOM } = require('./overzoom');
+const { parseDepthUnit, toUnit } = require('./units');
+
+// Highest zoom level with generated composite tiles, higher zoom levels are overzoomed
+const COMPOSITE_MAXZOOM = 14;
 
 /**
  * Composite class combines multiple vector tile sources into a single tile
  * Merges OSM, Seamap, Contours, Bathymetry and Soundings into one PBF
  */
 class Composite {
-  constructor(seamap, tiles, contours, bathymetry, soundings) {
+  constructor(seamap, tiles, contours, bathymetry, soundings, tides) {
     this.seamap = seamap;
     this.tiles = tiles;
     this.contours = contours;
     this.bathymetry = bathymetry;
     this.soundings = soundings;
+    this.tides = tides;
   }
 
   /**
-   * Generate composite tile by combining all sub-tiles
+   * Generate composite tile by combining all sub-tiles, bathymetry and soundings in depth unit and tide stations
    */
-  async generateCompositeTile(provider, z, x, y) {
+  async generateCompositeTile(provider, z, x, y, unit) {
     const zNum = parseInt(z);
     const xNum = parseInt(x);
     const yNum = parseInt(y);
 
     // Load all tiles in parallel
-    const [osmTile, seamapTile, contourTile, bathymetryTile, soundingsTile] = await Promise.all([
+    const [osmTile, seamapTile, contourTile, bathymetryTile, soundingsTile, tidesTile] = await Promise.all([
       this.tiles.getTile('osm', zNum, xNum, yNum).catch(() => null),
       this.tiles.getTile('seamap', zNum, xNum, yNum).catch(() => null),
       this.contours.getTile('mapterhorn', zNum, xNum, yNum).catch(() => null),
-      this.bathymetry.getTile(provider, zNum, xNum, yNum).catch(() => null),
-      this.soundings.getTile(provider, zNum, xNum, yNum).catch(() => null)
+      this.bathymetry.getTile(provider, zNum, xNum, yNum, unit).catch(() => null),
+      this.soundings.getTile(provider, zNum, xNum, yNum, unit).catch(() => null),
+      this.tides.getTile(zNum, xNum, yNum).catch(() => null)
     ]);
 
     // Decode and merge tiles
     const mergedLayers = {};
-    const tiles = [osmTile, seamapTile, contourTile, bathymetryTile, soundingsTile];
+    const tiles = [osmTile, seamapTile, contourTile, bathymetryTile, soundingsTile, tidesTile];
 
     for (const tile of tiles) {
       if (!tile?.data) continue;
@@ -77,9 +84,13 @@ class Composite {
 
   async deliverCompositeTileJSON(req, res) {
     const { provider } = req.params;
+    const unit = parseDepthUnit(req.query.depth_unit, this.seamap.options);
+    if (!unit) {
+      return res.status(400).json({ error: 'Invalid depth_unit parameter', message: 'Depth unit must be m, ft or fm' });
+    }
 
     // Verify provider exists
-    const source = Pmtiles.SOURCES().find(s => s.name === provider);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === provider);
     if (!source) {
       return res.status(404).send('Provider not found');
     }
@@ -89,45 +100,47 @@ class Composite {
     res.json({
       tilejson: '3.0.0',
       name: `${provider}-composite`,
-      description: `Composite vector tiles combining OSM, Seamap, Contours, Bathymetry and Soundings`,
+      description: `Composite vector tiles combining OSM, Seamap, Contours, Bathymetry, Soundings and Tide Stations`,
       version: '1.0.0',
       attribution: ['© OpenStreetMap contributors', source.attribution || ''].filter(a => a).join(', '),
       scheme: 'xyz',
-      tiles: [`${req.query.base_url || ''}/plugins/signalk-seamap-plugin/composite/${provider}/{z}/{x}/{y}.pbf`],
+      tiles: [`${req.query.base_url || ''}/plugins/signalk-seamap-plugin/composite/${provider}/{z}/{x}/{y}.pbf${req.query.depth_unit ? `?depth_unit=${unit}` : ''}`],
       minzoom: 0,
-      maxzoom: 14,
+      maxzoom: OVERZOOM_MAXZOOM,
       bounds: [-180, -85, 180, 85],
       center: [0, 0, 1],
-      format: 'pbf'
+      format: 'pbf',
+      depth_unit: unit,
+      safety_depth: toUnit(this.bathymetry.getSafetyDepth(), unit)
     });
   }
 
-  async deliverCompositeTile(req, res) {
-    const { provider, z, x, y } = req.params;
-    const zNum = parseInt(z);
-    const xNum = parseInt(x);
-    const yNum = parseInt(y);
-
-    if (isNaN(zNum) || isNaN(xNum) || isNaN(yNum)) {
-      return res.status(400).send('Invalid tile coordinates');
-    }
-
-    // Verify provider exists
-    const source = Pmtiles.SOURCES().find(s => s.name === provider);
-    if (!source) {
-      return res.status(404).send('Provider not found');
-    }
+  /**
+   * Cache source of composite tiles: bathymetry cache source with the contour settings key and the tide station store version
+   * Tiles are regenerated when stations are removed, their tide sub-tile is gone then and cannot mark the cached tile stale
+   */
+  cacheSource(provider, unit) {
+    const stations = Math.floor(this.tides.storeTime()).toString(36);
+    return `${this.bathymetry.cacheSource(provider, unit)}-${this.contours.getContourSettings().key}-${stations}`;
+  }
 
-    // Check cache first
-    let cachedTile = this.tiles.getCachedTile('composite', provider, zNum, xNum, yNum);
+  /**
+   * Get composite tile from cache, regenerate it when a sub-tile is newer
+   * Returns { timestamp, data: Buffer } or null
+   */
+  async getCompositeTile(provider, zNum, xNum, yNum, unit) {
+    // Check cache first, composite tiles of other depth units, depth levels, safety depths, contour settings and tide stations are cached under another key
+    const cacheSource = this.cacheSource(provider, unit);
+    let cachedTile = this.tiles.getCachedTile('composite', cacheSource, zNum, xNum, yNum);
 
     // Check if any source tiles are newer than cached composite
-    const [osmSource, seamapSource, contourSource, bathymetrySource, soundingsSource] = await Promise.all([
+    const [osmSource, seamapSource, contourSource, bathymetrySource, soundingsSource, tidesSource] = await Promise.all([
       this.tiles.getTile('osm', zNum, xNum, yNum).catch(() => null),
       this.tiles.getTile('seamap', zNum, xNum, yNum).catch(() => null),
       this.contours.getTile('mapterhorn', zNum, xNum, yNum).catch(() => null),
-      this.bathymetry.getTile(provider, zNum, xNum, yNum).catch(() => null),
-      this.soundings.getTile(provider, zNum, xNum, yNum).catch(() => null)
+      this.bathymetry.getTile(provider, zNum, xNum, yNum, unit).catch(() => null),
+      this.soundings.getTile(provider, zNum, xNum, yNum, unit).catch(() => null),
+      this.tides.getTile(zNum, xNum, yNum).catch(() => null)
     ]);
 
     const maxSourceTimestamp = Math.max(
@@ -135,29 +148,87 @@ class Composite {
       seamapSource?.timestamp || 0,
       contourSource?.timestamp || 0,
       bathymetrySource?.timestamp || 0,
-      soundingsSource?.timestamp || 0
+      soundingsSource?.timestamp || 0,
+      tidesSource?.timestamp || 0
     );
 
     const shouldRegenerate = !cachedTile || maxSourceTimestamp > cachedTile.timestamp;
 
-    let tileData = null;
-    if (shouldRegenerate) {
-      // Generate new composite tile
-      tileData = await this.generateCompositeTile(provider, zNum, xNum, yNum);
+    if (!shouldRegenerate) {
+      return { timestamp: cachedTile.timestamp, data: cachedTile.data() };
+    }
 
-      if (!tileData) {
-        return res.status(204).send();
-      }
+    // Generate new composite tile
+    const tileData = await this.generateCompositeTile(provider, zNum, xNum, yNum, unit);
+    if (!tileData) {
+      return null;
+    }
+
+    // Save to cache
+    this.tiles.saveTileToCache('composite', cacheSource, zNum, xNum, yNum, tileData);
+    return { timestamp: Date.now(), data: tileData };
+  }
+
+  /**
+   * Cut composite tile beyond zoom 14 out of the parent composite tile at zoom 14
+   * Cached next to the composite tiles, regenerated when the parent tile is newer
+   */
+  async getOverzoomedCompositeTile(provider, zNum, xNum, yNum, unit) {
+    const [parentZ, parentX, parentY] = this.tiles.reduceToZoom(zNum, xNum, yNum, COMPOSITE_MAXZOOM);
+    const parentTile = await this.getCompositeTile(provider, parentZ, parentX, parentY, unit);
+    if (!parentTile) {
+      return null;
+    }
+
+    const cacheSource = this.cacheSource(provider, unit);
+    const cachedTile = this.tiles.getCachedTile('composite', cacheSource, zNum, xNum, yNum);
+    if (cachedTile && cachedTile.timestamp >= parentTile.timestamp) {
+      return { timestamp: cachedTile.timestamp, data: cachedTile.data() };
+    }
+
+    const tileData = overzoomTile(parentTile.data, parentZ, zNum, xNum, yNum);
+    if (!tileData) {
+      return null;
+    }
+
+    this.tiles.saveTileToCache('composite', cacheSource, zNum, xNum, yNum, tileData);
+    return { timestamp: Date.now(), data: tileData };
+  }
+
+  async deliverCompositeTile(req, res) {
+    const { provider, z, x, y } = req.params;
+    const zNum = parseInt(z);
+    const xNum = parseInt(x);
+    const yNum = parseInt(y);
+
+    if (isNaN(zNum) || isNaN(xNum) || isNaN(yNum)) {
+      return res.status(400).send('Invalid tile coordinates');
+    }
+
+    // Verify provider exists
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === provider);
+    if (!source) {
+      return res.status(404).send('Provider not found');
+    }
+
+    const unit = parseDepthUnit(req.query.depth_unit, this.seamap.options);
+    if (!unit) {
+      return res.status(400).json({ error: 'Invalid depth_unit parameter', message: 'Depth unit must be m, ft or fm' });
+    }
+
+    if (zNum > OVERZOOM_MAXZOOM) {
+      return res.status(204).send();
+    }
+
+    const tile = zNum > COMPOSITE_MAXZOOM
+      ? await this.getOverzoomedCompositeTile(provider, zNum, xNum, yNum, unit)
+      : await this.getCompositeTile(provider, zNum, xNum, yNum, unit);
 
-      // Save to cache
-      this.tiles.saveTileToCache('composite', provider, zNum, xNum, yNum, tileData);
-    } else {
-      tileData = cachedTile.data();
+    if (!tile) {
+      return res.status(204).send();
     }
 
-    res.set('Content-Type', 'application/x-protobuf');
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(tileData);
+    await this.tiles.sendTile(req, res, tile, 'application/x-protobuf', { backend: 'composite', source: this.cacheSource(provider, unit), z: zNum, x: xNum, y: yNum });
   }
 
   middleware(router) {
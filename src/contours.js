@@ -1,9 +1,22 @@
+const crypto = require('crypto');
 const { HeightTile } = require('./maplibre-contour/height_tile.js');
 const generateIsolines = require('./maplibre-contour/isolines.js').default;
 const encodeVectorTile = require('./maplibre-contour/vtpbf.js').default;
 const { GeomType } = require('./maplibre-contour/vtpbf.js');
 const Pmtiles = require('./pmtiles');
 
+const FOOT = 0.3048;
+const INDEX_EVERY = 5; // every fifth contour line is an index contour
+// contour interval per min zoom level (in the configured unit)
+const DEFAULT_CONTOUR_INTERVALS = [
+  { minzoom: 0, interval: 500 },
+  { minzoom: 8, interval: 200 },
+  { minzoom: 10, interval: 100 },
+  { minzoom: 11, interval: 50 },
+  { minzoom: 12, interval: 20 },
+  { minzoom: 13, interval: 10 }
+];
+
 class Contours {
   constructor(seamap, tiles) {
     this.seamap = seamap;
@@ -53,7 +66,7 @@ class Contours {
       .toBuffer({ resolveWithObject: true });
 
     // Get encoding from source config
-    const sourceConfig = Pmtiles.SOURCES().find(s => s.name === name);
+    const sourceConfig = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     const encoding = sourceConfig?.encoding || 'terrarium';
 
     const elevations = this.decodeTerrainRGB(data, info.width, info.height, encoding);
@@ -72,7 +85,7 @@ class Contours {
    */
   async loadDemTile(name, z, x, y, overzoom = 0) {
     // Get source maxzoom
-    const sourceConfig = Pmtiles.SOURCES().find(s => s.name === name);
+    const sourceConfig = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     const maxzoom = sourceConfig?.maxzoom || 14;
 
     // Calculate actual zoom to fetch
@@ -180,10 +193,39 @@ class Contours {
     return heightTile;
   }
 
+  /**
+   * Datum offset of a DEM source in metres, added to its depths to refer them to chart datum
+   * From the `datumOffset` of user-defined sources or the `datumOffsets` option of built-in sources
+   */
+  getDatumOffset(name) {
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
+    return parseFloat(source?.datumOffset ?? this.seamap.options.datumOffsets?.[name]) || 0;
+  }
+
+  /**
+   * Current tide height above chart datum in metres (Signal K environment.tide.heightNow)
+   * null when the `tideCorrection` option is off or Signal K has no tide height
+   */
+  getTideHeight() {
+    if (!this.seamap.options.tideCorrection) return null;
+    const height = parseFloat(this.seamap.app?.getSelfPath?.('environment.tide.heightNow.value'));
+    return isNaN(height) ? null : height;
+  }
+
+  /**
+   * Height tile with depths increased by correction metres (datum offset, tide height)
+   */
+  correctDepths(heightTile, correction) {
+    return correction
+      ? new HeightTile(heightTile.width, heightTile.height, (x, y) => heightTile.get(x, y) - correction)
+      : heightTile;
+  }
+
   /**
    * Generate isolines tile (shared logic for contours and bathymetry)
+   * featureProperties(elevation) adds or overrides feature properties per isoline level
    */
-  async generateIsolinesTile(name, z, x, y, overzoom, layerName, intervalOrLevels) {
+  async generateIsolinesTile(name, z, x, y, overzoom, layerName, intervalOrLevels, featureProperties = () => ({})) {
     let heightTile = await this.loadHeightTileWithNeighbors(name, z, x, y, overzoom);
 
     if (!heightTile) {
@@ -217,7 +259,8 @@ class Contours {
       // Just wrap it in an array for the geometry field
       const properties = {
         elevation: elevation,
-        level: Math.round(elevation)
+        level: Math.round(elevation),
+        ...featureProperties(elevation)
       };
 
       features.push({
@@ -243,22 +286,41 @@ class Contours {
 
   /**
    * Generate contour tile with dynamic intervals
+   * level is the elevation in the configured unit, index marks every fifth line (bold, labelled)
    */
-  async generateContourTile(name, z, x, y, overzoom = 1) {
-    const interval = this.getContourInterval(z);
-    return this.generateIsolinesTile(name, z, x, y, overzoom, 'contours', interval);
+  async generateContourTile(name, z, x, y, overzoom = 1, settings = this.getContourSettings()) {
+    const interval = this.getContourInterval(z, settings.intervals);
+    const scale = settings.unit === 'ft' ? FOOT : 1;
+    return this.generateIsolinesTile(name, z, x, y, overzoom, 'contours', interval * scale, (elevation) => {
+      const step = Math.round(elevation / scale / interval);
+      return { level: step * interval, index: step % INDEX_EVERY === 0, unit: settings.unit };
+    });
   }
 
   /**
-   * Get contour interval based on zoom level (returns single number for interval-based generation)
+   * Contour settings from config: unit ('m' or 'ft') and intervals per min zoom level (in unit)
+   * key identifies the settings in the tile cache
    */
-  getContourInterval(z) {
-    if (z >= 13) return 10;
-    if (z >= 12) return 20;
-    if (z >= 11) return 50;
-    if (z >= 10) return 100;
-    if (z >= 8) return 200;
-    return 500;
+  getContourSettings() {
+    const unit = this.seamap.options.contourUnit === 'ft' ? 'ft' : 'm';
+    const configured = (this.seamap.options.contourIntervals || [])
+      .filter(entry => Number.isInteger(entry?.minzoom) && entry.interval > 0)
+      .map(({ minzoom, interval }) => ({ minzoom, interval }));
+    const intervals = (configured.length ? configured : DEFAULT_CONTOUR_INTERVALS)
+      .sort((a, b) => a.minzoom - b.minzoom);
+    const key = crypto.createHash('sha1').update(JSON.stringify({ unit, intervals })).digest('hex').slice(0, 8);
+    return { unit, intervals, key };
+  }
+
+  /**
+   * Get contour interval (in the configured unit) for a zoom level, the lowest interval applies below its min zoom
+   */
+  getContourInterval(z, intervals = this.getContourSettings().intervals) {
+    let interval = intervals[0].interval;
+    for (const entry of intervals) {
+      if (z >= entry.minzoom) interval = entry.interval;
+    }
+    return interval;
   }
 
   /**
@@ -274,20 +336,22 @@ class Contours {
       return null;
     }
 
-    // Check cache first
-    let cachedTile = this.tiles.getCachedTile('contours', name, zNum, xNum, yNum);
+    // Check cache first, tiles of other interval settings are cached under another key
+    const settings = this.getContourSettings();
+    const cacheSource = `${name}@${settings.key}`;
+    let cachedTile = this.tiles.getCachedTile('contours', cacheSource, zNum, xNum, yNum);
     let sourceTile = await this.tiles.getTile(name, zNum, xNum, yNum).catch(() => null);
 
     // Regenerate if cache is missing or source is newer
     if (!cachedTile || (sourceTile?.timestamp > cachedTile.timestamp)) {
-      const tileData = await this.generateContourTile(name, zNum, xNum, yNum);
+      const tileData = await this.generateContourTile(name, zNum, xNum, yNum, 1, settings);
 
       if (!tileData) {
         return null;
       }
 
       // Save to cache
-      this.tiles.saveTileToCache('contours', name, zNum, xNum, yNum, tileData);
+      this.tiles.saveTileToCache('contours', cacheSource, zNum, xNum, yNum, tileData);
 
       return {
         timestamp: Date.now(),
@@ -305,7 +369,7 @@ class Contours {
     const { name } = req.params;
 
     // Verify source exists
-    const source = Pmtiles.SOURCES().find(s => s.name === name);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     if (!source) {
       return res.status(404).send('Source not found');
     }
@@ -329,7 +393,9 @@ class Contours {
         id: 'contours',
         fields: {
           elevation: 'Number',
-          level: 'Number'
+          level: 'Number',
+          index: 'Boolean',
+          unit: 'String'
         }
       }]
     });
@@ -344,9 +410,8 @@ class Contours {
       return res.status(204).send();
     }
 
-    res.set('Content-Type', 'application/x-protobuf');
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(tile.data);
+    const source = `${name}@${this.getContourSettings().key}`;
+    await this.tiles.sendTile(req, res, tile, 'application/x-protobuf', { backend: 'contours', source, z: parseInt(z), x: parseInt(x), y: parseInt(y) });
   }
 
   middleware(router) {
@@ -0,0 +1,244 @@
+/**
+ * Tile coverage of download areas: bbox, GeoJSON polygons and route corridors
+ * Geometry is handled in fractional tile coordinates (Web Mercator) of the cover zoom level
+ */
+
+const EARTH_CIRCUMFERENCE = 40075016.686; // metres at the equator
+const NAUTICAL_MILE = 1852;
+
+function lngLatToTile([lng, lat], z) {
+  const n = Math.pow(2, z);
+  const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+  return [
+    (lng + 180) / 360 * n,
+    (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+  ];
+}
+
+/**
+ * Flatten GeoJSON (geometry, Feature or FeatureCollection) to a list of polygons and lines
+ */
+function flattenGeometry(geojson) {
+  if (!geojson) return [];
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(flattenGeometry);
+    case 'Feature':
+      return flattenGeometry(geojson.geometry);
+    case 'GeometryCollection':
+      return (geojson.geometries || []).flatMap(flattenGeometry);
+    case 'Polygon':
+      return [{ type: 'Polygon', coordinates: geojson.coordinates }];
+    case 'MultiPolygon':
+      return geojson.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }));
+    case 'LineString':
+      return [{ type: 'LineString', coordinates: geojson.coordinates }];
+    case 'MultiLineString':
+      return geojson.coordinates.map(coordinates => ({ type: 'LineString', coordinates }));
+    default:
+      throw new Error(`Unsupported geometry type: ${geojson.type}`);
+  }
+}
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+/**
+ * Validate flattened geometries, returns an error message or null
+ */
+function validateGeometries(geometries, corridor) {
+  if (geometries.length === 0) return 'No geometry given';
+  for (const geometry of geometries) {
+    const lines = geometry.type === 'Polygon' ? geometry.coordinates : [geometry.coordinates];
+    if (!Array.isArray(lines) || lines.some(line => !Array.isArray(line) || !line.every(isPosition))) {
+      return 'Invalid coordinates';
+    }
+    if (geometry.type === 'Polygon' && (lines.length === 0 || lines.some(ring => ring.length < 4))) {
+      return 'Polygon rings need at least 4 positions';
+    }
+    if (geometry.type === 'LineString') {
+      if (lines[0].length < 2) return 'LineString needs at least 2 positions';
+      if (!(corridor > 0)) return 'LineString needs a corridor width in nautical miles';
+    }
+  }
+  return null;
+}
+
+/**
+ * Bounds [west, south, east, north] of the geometries, lines are expanded by the corridor width
+ */
+function geometryBounds(geometries, corridor = 0) {
+  let [west, south, east, north] = [180, 90, -180, -90];
+  for (const geometry of geometries) {
+    const positions = geometry.type === 'Polygon' ? geometry.coordinates.flat() : geometry.coordinates;
+    const margin = geometry.type === 'LineString' ? corridor / 60 : 0; // 1 nm = 1 minute of latitude
+    for (const [lng, lat] of positions) {
+      const lngMargin = margin / Math.max(0.01, Math.cos(lat * Math.PI / 180));
+      west = Math.min(west, lng - lngMargin);
+      east = Math.max(east, lng + lngMargin);
+      south = Math.min(south, lat - margin);
+      north = Math.max(north, lat + margin);
+    }
+  }
+  return [Math.max(-180, west), Math.max(-85.0511, south), Math.min(180, east), Math.min(85.0511, north)];
+}
+
+/**
+ * Check if segment a-b passes through the tile x/y (Liang-Barsky), touching the border does not count
+ */
+function segmentIntersectsTile(a, b, x, y) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of [[-dx, a[0] - x], [dx, x + 1 - a[0]], [-dy, a[1] - y], [dy, y + 1 - a[1]]]) {
+    if (p === 0) {
+      if (q <= 0) return false;
+    } else {
+      const t = q / p;
+      if (p < 0) t0 = Math.max(t0, t);
+      else t1 = Math.min(t1, t);
+      if (t0 >= t1) return false;
+    }
+  }
+  return true;
+}
+
+function pointSegmentDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq)) : 0;
+  return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+}
+
+function pointTileDistance(p, x, y) {
+  return Math.hypot(Math.max(x - p[0], 0, p[0] - x - 1), Math.max(y - p[1], 0, p[1] - y - 1));
+}
+
+function segmentTileDistance(a, b, x, y) {
+  if (segmentIntersectsTile(a, b, x, y)) return 0;
+  const corners = [[x, y], [x + 1, y], [x, y + 1], [x + 1, y + 1]];
+  return Math.min(
+    ...corners.map(corner => pointSegmentDistance(corner, a, b)),
+    pointTileDistance(a, x, y),
+    pointTileDistance(b, x, y)
+  );
+}
+
+/**
+ * Even-odd point in polygon test over all rings (holes included)
+ */
+function pointInPolygon([px, py], rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function tileRange(points, margin, z) {
+  const max = Math.pow(2, z) - 1;
+  let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of points) {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  }
+  return {
+    minX: Math.max(0, Math.floor(minX - margin)),
+    maxX: Math.min(max, Math.floor(maxX + margin)),
+    minY: Math.max(0, Math.floor(minY - margin)),
+    maxY: Math.min(max, Math.floor(maxY + margin))
+  };
+}
+
+/**
+ * Highest zoom level up to maxzoom at which the bounds of the geometries span at most maxTiles tiles
+ * The bounds are an upper limit of the cover, so large areas are not scanned at high zoom levels
+ */
+function coverZoom(geometries, corridor, maxzoom, maxTiles) {
+  const bounds = geometries.map(geometry => geometryBounds([geometry], corridor));
+  for (let z = maxzoom; z > 0; z--) {
+    let count = 0;
+    for (const [west, south, east, north] of bounds) {
+      const { minX, maxX, minY, maxY } = tileRange([lngLatToTile([west, north], z), lngLatToTile([east, south], z)], 0, z);
+      count += (maxX - minX + 1) * (maxY - minY + 1);
+    }
+    if (count <= maxTiles) return z;
+  }
+  return 0;
+}
+
+/**
+ * Tiles at zoom z covering the geometries, returns [[x, y], ...]
+ * Polygons: tiles touched by a ring or with the center inside the polygon
+ * Lines: tiles within the corridor width (nautical miles) of the line
+ */
+function coverGeometries(geometries, corridor, z) {
+  const tiles = new Map(); // key: "x/y", value: [x, y]
+  const add = (x, y) => tiles.set(`${x}/${y}`, [x, y]);
+
+  for (const geometry of geometries) {
+    if (geometry.type === 'Polygon') {
+      const rings = geometry.coordinates.map(ring => ring.map(position => lngLatToTile(position, z)));
+      const { minX, maxX, minY, maxY } = tileRange(rings[0], 0, z);
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          if (pointInPolygon([x + 0.5, y + 0.5], rings) ||
+            rings.some(ring => ring.some((p, i) => i > 0 && segmentIntersectsTile(ring[i - 1], p, x, y)))) {
+            add(x, y);
+          }
+        }
+      }
+      continue;
+    }
+
+    const line = geometry.coordinates;
+    for (let i = 1; i < line.length; i++) {
+      const a = lngLatToTile(line[i - 1], z);
+      const b = lngLatToTile(line[i], z);
+      // corridor width in tile units at the latitude of the segment
+      const lat = Math.max(Math.abs(line[i - 1][1]), Math.abs(line[i][1]));
+      const tileSize = EARTH_CIRCUMFERENCE * Math.cos(Math.min(85.0511, lat) * Math.PI / 180) / Math.pow(2, z);
+      const width = corridor * NAUTICAL_MILE / tileSize;
+      const { minX, maxX, minY, maxY } = tileRange([a, b], width, z);
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          if (segmentTileDistance(a, b, x, y) <= width) add(x, y);
+        }
+      }
+    }
+  }
+
+  return [...tiles.values()];
+}
+
+/**
+ * Convert bbox [west, south, east, north] to a polygon, split at the antimeridian when west > east
+ */
+function bboxToGeometries([west, south, east, north]) {
+  const polygon = (w, e) => ({
+    type: 'Polygon',
+    coordinates: [[[w, south], [e, south], [e, north], [w, north], [w, south]]]
+  });
+  return west <= east ? [polygon(west, east)] : [polygon(west, 180), polygon(-180, east)];
+}
+
+module.exports = {
+  lngLatToTile,
+  flattenGeometry,
+  validateGeometries,
+  geometryBounds,
+  coverZoom,
+  coverGeometries,
+  bboxToGeometries
+};
@@ -0,0 +1,439 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { PMTiles, FetchSource, Compression, zxyToTileId } = require('pmtiles');
+const FileSource = require('./filesource');
+
+const gzip = promisify(zlib.gzip);
+
+const HEADER_SIZE = 127;
+const ROOT_SIZE = 16384 - HEADER_SIZE; // header and root directory must fit into the first 16 kB
+const CHUNK_SIZE = 4 * 1024 * 1024; // max bytes per range request
+const CHECKPOINT_INTERVAL = 10000; // sync written bytes at most every 10 s (ms) ...
+const CHECKPOINT_BYTES = 8 * 1024 * 1024; // ... or every 8 MB, to spare SD cards
+
+/**
+ * Tile ID ranges [first, last] of a tile and all its ancestors and descendants from minzoom to maxzoom
+ * Descendants of a tile form one contiguous range per zoom level on the Hilbert curve
+ */
+function tileRanges(z, x, y, minzoom, maxzoom) {
+  const ranges = [];
+  for (let zoom = minzoom; zoom <= maxzoom; zoom++) {
+    if (zoom <= z) {
+      const scale = Math.pow(2, z - zoom);
+      const id = zxyToTileId(zoom, Math.floor(x / scale), Math.floor(y / scale));
+      ranges.push([id, id]);
+    } else {
+      const base = zxyToTileId(zoom, 0, 0);
+      const count = Math.pow(4, zoom - z);
+      const first = base + (zxyToTileId(z, x, y) - zxyToTileId(z, 0, 0)) * count;
+      ranges.push([first, first + count - 1]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Sort and merge overlapping tile ID ranges
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [first, last] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const previous = merged[merged.length - 1];
+    if (previous && first <= previous[1] + 1) previous[1] = Math.max(previous[1], last);
+    else merged.push([first, last]);
+  }
+  return merged;
+}
+
+// Upstream version of a remote archive, compared by isOutdated
+function upstreamVersion(header, metadata) {
+  return { etag: header.etag || undefined, version: metadata?.version, tileDataLength: header.tileDataLength };
+}
+
+// Compare the upstream version recorded at download time with the current one, ETag first
+function isOutdated(recorded, current) {
+  if (recorded.etag && current.etag) return recorded.etag !== current.etag;
+  return recorded.version !== current.version || recorded.tileDataLength !== current.tileDataLength;
+}
+
+/**
+ * Entry containing tileId in entries sorted by tileId (binary search), undefined if none
+ */
+function findEntry(entries, tileId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const entry = entries[mid];
+    if (tileId < entry.tileId) high = mid - 1;
+    else if (tileId >= entry.tileId + entry.runLength) low = mid + 1;
+    else return entry;
+  }
+  return undefined;
+}
+
+// Bytes read from a file handle, shorter than length at the end of the file
+async function readLocal(file, position, length) {
+  const { bytesRead, buffer } = await file.read(Buffer.alloc(length), 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+/**
+ * Serialize and gzip a PMTiles v3 directory
+ */
+async function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  }
+  for (const entry of entries) writeVarint(bytes, entry.runLength);
+  for (const entry of entries) writeVarint(bytes, entry.length);
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    // 0 = directly after the previous entry
+    writeVarint(bytes, previous && entry.offset === previous.offset + previous.length ? 0 : entry.offset + 1);
+  });
+  return gzip(Buffer.from(bytes));
+}
+
+/**
+ * Build root directory and leaf directories, leaves are only used when the root does not fit into 16 kB
+ */
+async function buildDirectories(entries) {
+  if (entries.length < 16384) {
+    const root = await serializeDirectory(entries);
+    if (root.length <= ROOT_SIZE) {
+      return { root, leaves: Buffer.alloc(0) };
+    }
+  }
+
+  let leafSize = Math.max(4096, Math.ceil(entries.length / 3500));
+  for (;;) {
+    const rootEntries = [];
+    const leaves = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = await serializeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({ tileId: entries[i].tileId, offset, length: leaf.length, runLength: 0 });
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+    const root = await serializeDirectory(rootEntries);
+    if (root.length <= ROOT_SIZE) {
+      return { root, leaves: Buffer.concat(leaves) };
+    }
+    leafSize = Math.ceil(leafSize * 1.2);
+  }
+}
+
+function serializeHeader(header) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  buffer.write('PMTiles', 0, 'ascii');
+  buffer.writeUInt8(3, 7);
+  [
+    header.rootDirectoryOffset, header.rootDirectoryLength,
+    header.jsonMetadataOffset, header.jsonMetadataLength,
+    header.leafDirectoryOffset, header.leafDirectoryLength,
+    header.tileDataOffset, header.tileDataLength,
+    header.numAddressedTiles, header.numTileEntries, header.numTileContents
+  ].forEach((value, i) => buffer.writeBigUInt64LE(BigInt(value), 8 + i * 8));
+  buffer.writeUInt8(header.clustered ? 1 : 0, 96);
+  buffer.writeUInt8(header.internalCompression, 97);
+  buffer.writeUInt8(header.tileCompression, 98);
+  buffer.writeUInt8(header.tileType, 99);
+  buffer.writeUInt8(header.minZoom, 100);
+  buffer.writeUInt8(header.maxZoom, 101);
+  buffer.writeInt32LE(Math.round(header.minLon * 1e7), 102);
+  buffer.writeInt32LE(Math.round(header.minLat * 1e7), 106);
+  buffer.writeInt32LE(Math.round(header.maxLon * 1e7), 110);
+  buffer.writeInt32LE(Math.round(header.maxLat * 1e7), 114);
+  buffer.writeUInt8(header.centerZoom, 118);
+  buffer.writeInt32LE(Math.round(header.centerLon * 1e7), 119);
+  buffer.writeInt32LE(Math.round(header.centerLat * 1e7), 123);
+  return buffer;
+}
+
+/**
+ * Extract tiles from a remote PMTiles archive into a local PMTiles v3 archive
+ * Reads the remote directories, picks the tiles inside the tile ID ranges and copies their bytes
+ * with as few range requests as possible. Tile data is copied as stored (no recompression),
+ * identical tiles are stored once.
+ * With base (path of an earlier extract) and baseVersion (its upstream version) tiles are copied from the
+ * local file instead of being downloaded again, as long as the remote archive has the same upstream version.
+ * PMTiles directories carry no tile hashes, tiles of a changed upstream version are always downloaded.
+ *
+ * Usage: const extract = new Extract(source, ranges, bounds); await extract.plan(); await extract.write(file);
+ */
+class Extract {
+  constructor(source, ranges, bounds, { signal, onProgress, onCheckpoint, archive, base, baseVersion, readSize } = {}) {
+    this.source = source;
+    this.ranges = mergeRanges(ranges);
+    this.bounds = bounds; // { west, south, east, north }
+    this.signal = signal;
+    this.onProgress = onProgress;
+    this.onCheckpoint = onCheckpoint;
+    // a shared archive reuses cached directories across extracts of the same source
+    this.archive = archive || new PMTiles(new FetchSource(source.url, new Headers(source.headers)));
+    this.base = base;
+    this.baseVersion = baseVersion;
+    // remote reads are split into requests of at most readSize bytes (bandwidth limit)
+    this.readSize = readSize || Infinity;
+    this.bytes = 0;
+    this.totalBytes = 0;
+    this.downloadBytes = 0;
+  }
+
+  /**
+   * Index of the first range ending at or after tileId
+   */
+  findRange(tileId) {
+    let low = 0;
+    let high = this.ranges.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.ranges[mid][1] < tileId) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  overlaps(first, last) {
+    const range = this.ranges[this.findRange(first)];
+    return range !== undefined && range[0] <= last;
+  }
+
+  /**
+   * Collect tile entries of the remote directory (recursive for leaf directories)
+   * Entries with run length are cut to the requested ranges
+   */
+  async collectEntries(archive, header, offset, length, entries) {
+    this.signal?.throwIfAborted();
+    const directory = await archive.cache.getDirectory(archive.source, offset, length, header);
+
+    for (let i = 0; i < directory.length; i++) {
+      const entry = directory[i];
+      if (entry.runLength === 0) {
+        const last = i + 1 < directory.length ? directory[i + 1].tileId - 1 : Infinity;
+        if (this.overlaps(entry.tileId, last)) {
+          await this.collectEntries(archive, header, header.leafDirectoryOffset + entry.offset, entry.length, entries);
+        }
+        continue;
+      }
+
+      const entryLast = entry.tileId + entry.runLength - 1;
+      for (let r = this.findRange(entry.tileId); r < this.ranges.length && this.ranges[r][0] <= entryLast; r++) {
+        const first = Math.max(entry.tileId, this.ranges[r][0]);
+        const last = Math.min(entryLast, this.ranges[r][1]);
+        entries.push({ tileId: first, offset: entry.offset, length: entry.length, runLength: last - first + 1 });
+      }
+    }
+  }
+
+  /**
+   * Read remote header and directories and lay out the new archive
+   * Sets totalBytes to the exact size of the archive to be written
+   */
+  async plan() {
+    const header = await this.archive.getHeader();
+    if (header.specVersion < 3) {
+      throw new Error(`Unsupported PMTiles version ${header.specVersion}`);
+    }
+    const metadata = await this.archive.getMetadata();
+
+    const sourceEntries = [];
+    await this.collectEntries(this.archive, header, header.rootDirectoryOffset, header.rootDirectoryLength, sourceEntries);
+    sourceEntries.sort((a, b) => a.tileId - b.tileId);
+    const local = this.base && this.baseVersion && !isOutdated(this.baseVersion, upstreamVersion(header, metadata))
+      ? await this.localEntries(header)
+      : null;
+
+    // new offsets in tile data order, identical source blobs are stored once
+    const offsets = new Map(); // key: source offset, value: new offset
+    const blobs = [];
+    const entries = [];
+    let tileDataLength = 0;
+    let numAddressedTiles = 0;
+    for (const entry of sourceEntries) {
+      let offset = offsets.get(entry.offset);
+      if (offset === undefined) {
+        offset = tileDataLength;
+        offsets.set(entry.offset, offset);
+        // same tile of the same upstream version in the earlier extract: copy the local bytes
+        const localEntry = local && findEntry(local.entries, entry.tileId);
+        if (localEntry && localEntry.length === entry.length) {
+          blobs.push({ localOffset: local.tileDataOffset + localEntry.offset, length: entry.length });
+        } else {
+          blobs.push({ sourceOffset: header.tileDataOffset + entry.offset, length: entry.length });
+          this.downloadBytes += entry.length;
+        }
+        tileDataLength += entry.length;
+      }
+      entries.push({ tileId: entry.tileId, offset, length: entry.length, runLength: entry.runLength });
+      numAddressedTiles += entry.runLength;
+    }
+
+    const { root, leaves } = await buildDirectories(entries);
+    const metadataBytes = await gzip(Buffer.from(JSON.stringify(metadata || {})));
+    const lastEntry = entries[entries.length - 1];
+    const zooms = entries.length
+      ? [this.tileZoom(entries[0].tileId), this.tileZoom(lastEntry.tileId + lastEntry.runLength - 1)]
+      : [header.minZoom, header.minZoom];
+    const { west, south, east, north } = this.bounds;
+
+    this.header = {
+      rootDirectoryOffset: HEADER_SIZE,
+      rootDirectoryLength: root.length,
+      jsonMetadataOffset: HEADER_SIZE + root.length,
+      jsonMetadataLength: metadataBytes.length,
+      leafDirectoryOffset: HEADER_SIZE + root.length + metadataBytes.length,
+      leafDirectoryLength: leaves.length,
+      tileDataOffset: HEADER_SIZE + root.length + metadataBytes.length + leaves.length,
+      tileDataLength,
+      numAddressedTiles,
+      numTileEntries: entries.length,
+      numTileContents: blobs.length,
+      clustered: true,
+      internalCompression: Compression.Gzip,
+      tileCompression: header.tileCompression,
+      tileType: header.tileType,
+      minZoom: zooms[0],
+      maxZoom: zooms[1],
+      minLon: west,
+      minLat: south,
+      maxLon: east,
+      maxLat: north,
+      centerZoom: Math.min(Math.max(header.centerZoom, zooms[0]), zooms[1]),
+      centerLon: (west + east) / 2,
+      centerLat: (south + north) / 2
+    };
+    this.etag = header.etag;
+    this.sourceHeader = header;
+    this.metadata = metadata;
+    this.prefix = Buffer.concat([serializeHeader(this.header), root, metadataBytes, leaves]);
+    this.blobs = blobs;
+    this.totalBytes = this.prefix.length + tileDataLength;
+    return this;
+  }
+
+  /**
+   * Tile entries of the base archive within the ranges, null if it cannot be used for the remote archive
+   */
+  async localEntries(remoteHeader) {
+    const source = new FileSource(this.base);
+    try {
+      const archive = new PMTiles(source);
+      const header = await archive.getHeader();
+      if (header.tileCompression !== remoteHeader.tileCompression || header.tileType !== remoteHeader.tileType) {
+        return null;
+      }
+      const entries = [];
+      await this.collectEntries(archive, header, header.rootDirectoryOffset, header.rootDirectoryLength, entries);
+      return { entries: entries.sort((a, b) => a.tileId - b.tileId), tileDataOffset: header.tileDataOffset };
+    } finally {
+      source.close();
+    }
+  }
+
+  tileZoom(tileId) {
+    let zoom = 0;
+    while (zxyToTileId(zoom + 1, 0, 0) <= tileId) zoom++;
+    return zoom;
+  }
+
+  /**
+   * Group blobs that are contiguous in the remote archive (or the local base) into reads of up to CHUNK_SIZE
+   */
+  *chunks() {
+    let chunk = null;
+    for (const blob of this.blobs) {
+      const local = blob.localOffset !== undefined;
+      const offset = local ? blob.localOffset : blob.sourceOffset;
+      const end = chunk && chunk.offset + chunk.length;
+      if (chunk && chunk.local === local && offset === end && chunk.length + blob.length <= CHUNK_SIZE) {
+        chunk.length += blob.length;
+        continue;
+      }
+      if (chunk) yield chunk;
+      chunk = { offset, length: blob.length, local };
+    }
+    if (chunk) yield chunk;
+  }
+
+  /**
+   * Write the planned archive, progress is reported in bytes written
+   * resumeFrom: bytes already written by an interrupted run of the same plan, only the rest is downloaded
+   * onCheckpoint(bytes) is called whenever the written bytes are synced to disk: every CHECKPOINT_INTERVAL
+   * or CHECKPOINT_BYTES, at the end and when writing is aborted or fails
+   */
+  async write(filename, resumeFrom = 0) {
+    // the prefix is small, resume only within tile data
+    const offset = resumeFrom >= this.prefix.length ? Math.min(resumeFrom, this.totalBytes) : 0;
+    const file = await fs.promises.open(filename, offset ? 'r+' : 'w');
+    const base = this.blobs.some(blob => blob.localOffset !== undefined) ? await fs.promises.open(this.base, 'r') : null;
+    let synced = { time: Date.now(), bytes: this.bytes };
+    const checkpoint = async () => {
+      await file.datasync();
+      synced = { time: Date.now(), bytes: this.bytes };
+      await this.onCheckpoint?.(this.bytes);
+    };
+    try {
+      if (offset) {
+        this.progress(offset);
+      } else {
+        await file.write(this.prefix, 0, this.prefix.length, 0);
+        this.progress(this.prefix.length);
+      }
+
+      let position = this.prefix.length;
+      for (const chunk of this.chunks()) {
+        const end = position + chunk.length;
+        let start = Math.max(position, this.bytes);
+        while (start < end) {
+          this.signal?.throwIfAborted();
+          const length = chunk.local ? end - start : Math.min(end - start, this.readSize);
+          const data = chunk.local
+            ? await readLocal(base, chunk.offset + start - position, length)
+            : Buffer.from((await this.archive.source.getBytes(chunk.offset + start - position, length, this.signal, this.etag)).data);
+          if (data.length !== length) {
+            throw new Error(`Short read from ${chunk.local ? this.base : this.source.url}: ${data.length} of ${length} bytes`);
+          }
+          await file.write(data, 0, data.length, start);
+          this.progress(data.length);
+          if (Date.now() - synced.time >= CHECKPOINT_INTERVAL || this.bytes - synced.bytes >= CHECKPOINT_BYTES) {
+            await checkpoint();
+          }
+          start += length;
+        }
+        position = end;
+      }
+      await file.truncate(this.totalBytes);
+      await checkpoint();
+    } catch (err) {
+      // paused, stopped or failed: keep the bytes written so far for resuming
+      if (this.bytes > synced.bytes) await checkpoint().catch(() => {});
+      throw err;
+    } finally {
+      await file.close();
+      await base?.close();
+    }
+  }
+
+  progress(bytes) {
+    this.bytes += bytes;
+    this.onProgress?.(this.bytes, this.totalBytes);
+  }
+}
+
+module.exports = { Extract, tileRanges, mergeRanges, upstreamVersion, isOutdated, serializeDirectory, serializeHeader };
@@ -0,0 +1,26 @@
+const fs = require("fs");
+
+/**
+ * PMTiles source reading from a local file
+ */
+class FileSource {
+  constructor(filename) {
+    this.filename = filename;
+    this.fd = fs.openSync(filename, "r");
+  }
+  getKey() {
+    return this.filename;
+  }
+  async getBytes(offset, length) {
+    const buffer = Buffer.alloc(length);
+    await new Promise((resolve, reject) => {
+      fs.read(this.fd, buffer, 0, length, offset, (err) => err ? reject(err) : resolve());
+    });
+    return { data: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) };
+  }
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+module.exports = FileSource;
@@ -0,0 +1,144 @@
+/**
+ * Tidal height predictions from harmonic constituents
+ * Heights are h(t) = z0 + Σ f·A·cos(V + u - G) with the Greenwich phase lag G (degrees, UTC),
+ * equilibrium arguments V from Doodson numbers and nodal corrections f, u after Schureman
+ */
+
+const RAD = Math.PI / 180;
+const EXTREMA_STEP = 6 * 60000; // sampling of high and low water search (ms)
+const EXTREMA_PRECISION = 1000; // ms
+
+/**
+ * Astronomical arguments in degrees (epoch J2000, UTC)
+ * tau: mean lunar time, s: moon, h: sun, p: lunar perigee, N: lunar node, p1: solar perigee
+ */
+function astronomicalArguments(time) {
+  const T = (time / 86400000 + 2440587.5 - 2451545.0) / 36525;
+  const s = 218.3164477 + 481267.88123421 * T;
+  const h = 280.46646 + 36000.76983 * T;
+  const p = 83.3532465 + 4069.0137287 * T;
+  const N = 125.04452 - 1934.136261 * T;
+  const p1 = 282.93735 + 1.71946 * T;
+  const hours = (((time % 86400000) + 86400000) % 86400000) / 3600000;
+  return { tau: 15 * hours + h - s, s, h, p, N, p1 };
+}
+
+// Nodal factor f and angle u (degrees) of the basic lunar constituents for the lunar node N
+function nodalCorrections(N) {
+  const cos = k => Math.cos(k * N * RAD);
+  const sin = k => Math.sin(k * N * RAD);
+  return {
+    M2: { f: 1.0004 - 0.0373 * cos(1) + 0.0002 * cos(2), u: -2.14 * sin(1) },
+    K1: { f: 1.0060 + 0.1150 * cos(1) - 0.0088 * cos(2) + 0.0006 * cos(3), u: -8.86 * sin(1) + 0.68 * sin(2) - 0.07 * sin(3) },
+    O1: { f: 1.0089 + 0.1871 * cos(1) - 0.0147 * cos(2) + 0.0014 * cos(3), u: 10.80 * sin(1) - 1.34 * sin(2) + 0.19 * sin(3) },
+    K2: { f: 1.0241 + 0.2863 * cos(1) + 0.0083 * cos(2) - 0.0015 * cos(3), u: -17.74 * sin(1) + 0.68 * sin(2) - 0.04 * sin(3) },
+    J1: { f: 1.0129 + 0.1676 * cos(1) - 0.0170 * cos(2) + 0.0016 * cos(3), u: -12.94 * sin(1) + 1.34 * sin(2) - 0.19 * sin(3) },
+    OO1: { f: 1.1027 + 0.6504 * cos(1) + 0.0317 * cos(2) - 0.0014 * cos(3), u: -36.68 * sin(1) + 4.02 * sin(2) - 0.57 * sin(3) },
+    Mf: { f: 1.0430 + 0.4140 * cos(1), u: -23.74 * sin(1) + 2.68 * sin(2) - 0.38 * sin(3) },
+    Mm: { f: 1.0000 - 0.1300 * cos(1), u: 0 }
+  };
+}
+
+const solar = () => ({ f: 1, u: 0 });
+const power = (name, k) => n => ({ f: Math.pow(n[name].f, k), u: n[name].u * k });
+const inverse = name => n => ({ f: n[name].f, u: -n[name].u });
+const product = (a, b) => n => ({ f: n[a].f * n[b].f, u: n[a].u + n[b].u });
+
+/**
+ * Supported constituents: Doodson numbers for [tau, s, h, p, p1], phase offset (degrees) and nodal correction
+ */
+const CONSTITUENTS = {
+  // long period
+  Sa: { doodson: [0, 0, 1, 0, 0], offset: 0, nodal: solar },
+  Ssa: { doodson: [0, 0, 2, 0, 0], offset: 0, nodal: solar },
+  Mm: { doodson: [0, 1, 0, -1, 0], offset: 0, nodal: power('Mm', 1) },
+  MSf: { doodson: [0, 2, -2, 0, 0], offset: 0, nodal: inverse('M2') },
+  Mf: { doodson: [0, 2, 0, 0, 0], offset: 0, nodal: power('Mf', 1) },
+  // diurnal
+  '2Q1': { doodson: [1, -3, 0, 2, 0], offset: -90, nodal: power('O1', 1) },
+  Q1: { doodson: [1, -2, 0, 1, 0], offset: -90, nodal: power('O1', 1) },
+  RHO1: { doodson: [1, -2, 2, -1, 0], offset: -90, nodal: power('O1', 1) },
+  O1: { doodson: [1, -1, 0, 0, 0], offset: -90, nodal: power('O1', 1) },
+  P1: { doodson: [1, 1, -2, 0, 0], offset: -90, nodal: solar },
+  K1: { doodson: [1, 1, 0, 0, 0], offset: 90, nodal: power('K1', 1) },
+  J1: { doodson: [1, 2, 0, -1, 0], offset: 90, nodal: power('J1', 1) },
+  OO1: { doodson: [1, 3, 0, 0, 0], offset: 90, nodal: power('OO1', 1) },
+  // semidiurnal
+  '2N2': { doodson: [2, -2, 0, 2, 0], offset: 0, nodal: power('M2', 1) },
+  MU2: { doodson: [2, -2, 2, 0, 0], offset: 0, nodal: power('M2', 1) },
+  N2: { doodson: [2, -1, 0, 1, 0], offset: 0, nodal: power('M2', 1) },
+  NU2: { doodson: [2, -1, 2, -1, 0], offset: 0, nodal: power('M2', 1) },
+  M2: { doodson: [2, 0, 0, 0, 0], offset: 0, nodal: power('M2', 1) },
+  LAM2: { doodson: [2, 1, -2, 1, 0], offset: 180, nodal: power('M2', 1) },
+  L2: { doodson: [2, 1, 0, -1, 0], offset: 180, nodal: power('M2', 1) },
+  T2: { doodson: [2, 2, -3, 0, 1], offset: 0, nodal: solar },
+  S2: { doodson: [2, 2, -2, 0, 0], offset: 0, nodal: solar },
+  K2: { doodson: [2, 2, 0, 0, 0], offset: 0, nodal: power('K2', 1) },
+  '2SM2': { doodson: [2, 4, -4, 0, 0], offset: 0, nodal: inverse('M2') },
+  // shallow water
+  M3: { doodson: [3, 0, 0, 0, 0], offset: 180, nodal: power('M2', 1.5) },
+  MK3: { doodson: [3, 1, 0, 0, 0], offset: 90, nodal: product('M2', 'K1') },
+  MN4: { doodson: [4, -1, 0, 1, 0], offset: 0, nodal: power('M2', 2) },
+  M4: { doodson: [4, 0, 0, 0, 0], offset: 0, nodal: power('M2', 2) },
+  MS4: { doodson: [4, 2, -2, 0, 0], offset: 0, nodal: power('M2', 1) },
+  S4: { doodson: [4, 4, -4, 0, 0], offset: 0, nodal: solar },
+  M6: { doodson: [6, 0, 0, 0, 0], offset: 0, nodal: power('M2', 3) },
+  S6: { doodson: [6, 6, -6, 0, 0], offset: 0, nodal: solar },
+  M8: { doodson: [8, 0, 0, 0, 0], offset: 0, nodal: power('M2', 4) }
+};
+
+// Constituent name as in CONSTITUENTS, names are matched case-insensitive (e.g. "m2", "Lambda2")
+function constituentName(name) {
+  const key = String(name).toUpperCase().replace(/^LAMBDA/, 'LAM');
+  return Object.keys(CONSTITUENTS).find(known => known.toUpperCase() === key) || null;
+}
+
+/**
+ * Predicted height at time (ms) for a station { z0, constituents: [{ name, amplitude, phase }] }
+ */
+function predictHeight(station, time) {
+  const { tau, s, h, p, N, p1 } = astronomicalArguments(time);
+  const nodal = nodalCorrections(N);
+  let height = station.z0 || 0;
+  for (const { name, amplitude, phase } of station.constituents) {
+    const { doodson: [a, b, c, d, e], offset, nodal: correction } = CONSTITUENTS[name];
+    const { f, u } = correction(nodal);
+    const V = a * tau + b * s + c * h + d * p + e * p1 + offset;
+    height += f * amplitude * Math.cos((V + u - phase) * RAD);
+  }
+  return height;
+}
+
+/**
+ * High and low waters between from and to (ms): [{ time, height, type: 'high' | 'low' }]
+ */
+function findExtremes(station, from, to) {
+  const extremes = [];
+  const height = time => predictHeight(station, time);
+
+  let previous = height(from - EXTREMA_STEP);
+  let current = height(from);
+  for (let time = from; time < to; time += EXTREMA_STEP) {
+    const next = height(time + EXTREMA_STEP);
+    const type = current > previous && current >= next ? 'high' : current < previous && current <= next ? 'low' : null;
+    if (type) {
+      // ternary search for the turning point around the sample
+      let [lo, hi] = [time - EXTREMA_STEP, time + EXTREMA_STEP];
+      while (hi - lo > EXTREMA_PRECISION) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        if ((height(m1) < height(m2)) === (type === 'high')) lo = m1;
+        else hi = m2;
+      }
+      const extreme = Math.round((lo + hi) / 2);
+      if (extreme >= from && extreme < to) {
+        extremes.push({ time: extreme, height: height(extreme), type });
+      }
+    }
+    previous = current;
+    current = next;
+  }
+  return extremes;
+}
+
+module.exports = { CONSTITUENTS, constituentName, predictHeight, findExtremes };
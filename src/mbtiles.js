@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const FORMATS = { pbf: 'pbf', mvt: 'pbf', png: 'png', jpg: 'jpg', jpeg: 'jpg', webp: 'webp' };
+
+/**
+ * MBTiles archive reader (SQLite based, read only)
+ * Tiles are stored in TMS scheme, y is flipped on read
+ */
+class MBTiles {
+  constructor(filename) {
+    const error = MBTiles.unavailable();
+    if (error) {
+      throw new Error(error);
+    }
+    this.filename = filename;
+    this.db = new MBTiles.Database(filename, { readonly: true, fileMustExist: true });
+    this.tileStatement = this.db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+  }
+
+  /**
+   * Read tile in XYZ scheme
+   * Returns { data: Buffer } or { encoded: { encoding, data: Buffer } } for gzip compressed tiles
+   * (usual for vector MBTiles) or null, compressed tiles are decoded on demand by Tiles.decodeTile
+   */
+  async readTile(z, x, y) {
+    const row = this.tileStatement.get(z, x, (1 << z) - 1 - y);
+    if (!row?.tile_data) {
+      return null;
+    }
+
+    const raw = Buffer.from(row.tile_data);
+    if (raw[0] === 0x1f && raw[1] === 0x8b) {
+      return { encoded: { encoding: 'gzip', data: raw } };
+    }
+    return { data: raw };
+  }
+
+  /**
+   * Read metadata table as key/value object, "json" entry is merged
+   */
+  getMetadata() {
+    const metadata = {};
+    for (const { name, value } of this.db.prepare('SELECT name, value FROM metadata').all()) {
+      metadata[name] = value;
+    }
+    if (metadata.json) {
+      try {
+        Object.assign(metadata, JSON.parse(metadata.json));
+      } catch (err) {
+        // ignore invalid json metadata
+      }
+      delete metadata.json;
+    }
+    return metadata;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Error message when the optional better-sqlite3 module is not installed, null if MBTiles can be read
+   */
+  static unavailable() {
+    if (MBTiles.loadError === undefined) {
+      try {
+        MBTiles.Database = require('better-sqlite3');
+        MBTiles.loadError = null;
+      } catch (err) {
+        MBTiles.loadError = `MBTiles unavailable: better-sqlite3 is not installed (${err.message})`;
+      }
+    }
+    return MBTiles.loadError;
+  }
+
+  /**
+   * MBTiles files in a folder
+   */
+  static files(folder) {
+    if (!folder || !fs.existsSync(folder)) {
+      return [];
+    }
+    return fs.readdirSync(folder).filter(file => file.endsWith('.mbtiles'));
+  }
+
+  /**
+   * Read metadata of an MBTiles file and convert it to a source definition
+   * Results are memoized until the file changes
+   */
+  static readSource(filename, name) {
+    const stats = fs.statSync(filename);
+    const memoKey = `${filename}:${stats.mtimeMs}`;
+    const memo = MBTiles.sourceMemo.get(filename);
+    if (memo?.key === memoKey) {
+      return { ...memo.source, name };
+    }
+
+    const archive = new MBTiles(filename);
+    let metadata;
+    try {
+      metadata = archive.getMetadata();
+    } finally {
+      archive.close();
+    }
+
+    const format = FORMATS[metadata.format] || 'pbf';
+    const bounds = metadata.bounds?.split(',').map(parseFloat);
+    const center = metadata.center?.split(',').map(parseFloat);
+    const source = {
+      name,
+      type: 'mbtiles',
+      path: filename,
+      minzoom: parseInt(metadata.minzoom) || 0,
+      maxzoom: parseInt(metadata.maxzoom) || 14,
+      format,
+      tileSize: format === 'pbf' ? undefined : 256,
+      attribution: metadata.attribution || '',
+      description: metadata.description,
+      bounds: bounds?.length === 4 && !bounds.some(isNaN) ? bounds : undefined,
+      center: center?.length === 3 && !center.some(isNaN) ? center : undefined,
+      vector_layers: metadata.vector_layers
+    };
+
+    MBTiles.sourceMemo.set(filename, { key: memoKey, source });
+    return source;
+  }
+
+  /**
+   * Find all MBTiles files in a folder and convert them to source definitions
+   * Source name is the file name without extension, files named like a reserved (built-in) source are skipped
+   */
+  static discover(folder, reservedNames = []) {
+    if (!folder || !fs.existsSync(folder)) {
+      return [];
+    }
+
+    // folder mtime changes when files are added, removed or renamed
+    const memoKey = `${folder}:${fs.statSync(folder).mtimeMs}`;
+    if (MBTiles.discoverMemo?.key === memoKey) {
+      return MBTiles.discoverMemo.sources;
+    }
+
+    const sources = [];
+    const files = MBTiles.files(folder);
+    if (files.length && MBTiles.unavailable()) {
+      console.error(`${MBTiles.unavailable()}, ignoring ${files.join(', ')}`);
+      files.length = 0;
+    }
+
+    for (const file of files) {
+      const name = path.basename(file, '.mbtiles').replace(/[^\w-]/g, '_');
+      if (reservedNames.includes(name)) {
+        console.error(`Ignoring MBTiles file ${file}: ${name} is a built-in source, rename the file`);
+        continue;
+      }
+      try {
+        sources.push(MBTiles.readSource(path.join(folder, file), name));
+      } catch (err) {
+        console.error(`Error reading MBTiles metadata of ${file}:`, err);
+      }
+    }
+
+    MBTiles.discoverMemo = { key: memoKey, sources };
+    return sources;
+  }
+}
+
+MBTiles.sourceMemo = new Map(); // key: filename, value: { key: "filename:mtime", source }
+MBTiles.discoverMemo = null; // { key: "folder:mtime", sources }
+
+module.exports = MBTiles;
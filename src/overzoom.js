@@ -0,0 +1,180 @@
+const Pbf = require('pbf').default;
+const { VectorTile } = require('@mapbox/vector-tile');
+const encodeVectorTile = require('./maplibre-contour/vtpbf.js').default;
+
+const OVERZOOM_MAXZOOM = 18;
+const BUFFER = 64; // in tile extent units, keeps lines and polygon edges continuous across tile borders
+
+/**
+ * Signed ring area, positive for exterior rings in vector tile coordinates
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j].x - ring[i].x) * (ring[i].y + ring[j].y);
+  }
+  return area / 2;
+}
+
+/**
+ * Intersection of segment a-b with the vertical (axis 'x') or horizontal (axis 'y') line at value
+ */
+function intersect(a, b, axis, value) {
+  const t = (value - a[axis]) / (b[axis] - a[axis]);
+  return axis === 'x'
+    ? { x: value, y: Math.round(a.y + (b.y - a.y) * t) }
+    : { x: Math.round(a.x + (b.x - a.x) * t), y: value };
+}
+
+const EDGES = [
+  ['x', -1], ['x', 1], ['y', -1], ['y', 1]
+];
+
+/**
+ * Clip polygon ring to the box [min, max] (Sutherland-Hodgman), ring without closing point
+ */
+function clipRing(ring, min, max) {
+  let output = ring;
+  for (const [axis, side] of EDGES) {
+    const value = side < 0 ? min : max;
+    const inside = p => side < 0 ? p[axis] >= value : p[axis] <= value;
+    const input = output;
+    output = [];
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+      if (inside(current)) {
+        if (!inside(previous)) output.push(intersect(previous, current, axis, value));
+        output.push(current);
+      } else if (inside(previous)) {
+        output.push(intersect(previous, current, axis, value));
+      }
+    }
+    if (!output.length) break;
+  }
+  return output;
+}
+
+/**
+ * Clip line to the box [min, max] (Liang-Barsky per segment), returns the parts inside
+ */
+function clipLine(line, min, max) {
+  const parts = [];
+  let part = null;
+  for (let i = 0; i < line.length - 1; i++) {
+    const a = line[i];
+    const b = line[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    let t0 = 0;
+    let t1 = 1;
+    const checks = [[-dx, a.x - min], [dx, max - a.x], [-dy, a.y - min], [dy, max - a.y]];
+    let visible = true;
+    for (const [p, q] of checks) {
+      if (p === 0) {
+        if (q < 0) visible = false;
+      } else {
+        const t = q / p;
+        if (p < 0) t0 = Math.max(t0, t);
+        else t1 = Math.min(t1, t);
+      }
+    }
+    if (!visible || t0 > t1) {
+      part = null;
+      continue;
+    }
+
+    const start = t0 > 0 ? { x: Math.round(a.x + dx * t0), y: Math.round(a.y + dy * t0) } : a;
+    const end = t1 < 1 ? { x: Math.round(a.x + dx * t1), y: Math.round(a.y + dy * t1) } : b;
+    if (!part) {
+      part = [start];
+      parts.push(part);
+    }
+    part.push(end);
+    // segment leaves the box, the next one starts a new part
+    if (t1 < 1) part = null;
+  }
+  return parts.filter(p => p.length >= 2);
+}
+
+/**
+ * Clip feature geometry (rings of points) to the box, returns rings of points
+ * Holes of dropped exterior rings are dropped as well
+ */
+function clipGeometry(type, geometry, min, max) {
+  if (type === 1) {
+    const points = geometry.flat().filter(p => p.x >= min && p.x <= max && p.y >= min && p.y <= max);
+    return points.length ? [points] : [];
+  }
+
+  if (type === 2) {
+    return geometry.flatMap(line => clipLine(line, min, max));
+  }
+
+  const rings = [];
+  let keepHoles = false;
+  for (const ring of geometry) {
+    const exterior = ringArea(ring) > 0;
+    if (!exterior && !keepHoles) continue;
+
+    const clipped = clipRing(ring.slice(0, -1), min, max);
+    if (clipped.length < 3 || ringArea(clipped) === 0) {
+      if (exterior) keepHoles = false;
+      continue;
+    }
+    if (exterior) keepHoles = true;
+    rings.push([...clipped, clipped[0]]);
+  }
+  return rings;
+}
+
+/**
+ * Cut child tile z/x/y out of a vector tile at a lower zoom level (parentZ)
+ * Geometries are scaled up, clipped to the child tile plus buffer and re-encoded
+ * Returns Buffer or null if the child tile is empty
+ */
+function overzoomTile(data, parentZ, z, x, y) {
+  const scale = 1 << (z - parentZ);
+  const vt = new VectorTile(new Pbf(data));
+  const layers = {};
+
+  for (const layerName in vt.layers) {
+    const layer = vt.layers[layerName];
+    const extent = layer.extent || 4096;
+    const offsetX = (x % scale) * extent;
+    const offsetY = (y % scale) * extent;
+    const features = [];
+
+    for (let i = 0; i < layer.length; i++) {
+      const feature = layer.feature(i);
+      const geometry = feature.loadGeometry().map(ring => ring.map(p => ({
+        x: p.x * scale - offsetX,
+        y: p.y * scale - offsetY
+      })));
+      const clipped = clipGeometry(feature.type, geometry, -BUFFER, extent + BUFFER);
+      if (!clipped.length) continue;
+
+      const props = {};
+      for (const key in feature.properties) {
+        const val = feature.properties[key];
+        if (typeof val === 'number' && (val > 2147483647 || val < -2147483648)) continue;
+        props[key] = val;
+      }
+      features.push({
+        type: feature.type,
+        geometry: clipped.map(ring => ring.flatMap(p => [p.x, p.y])),
+        properties: props
+      });
+    }
+
+    if (features.length) {
+      layers[layerName] = { extent, features };
+    }
+  }
+
+  if (Object.keys(layers).length === 0) return null;
+
+  return Buffer.from(encodeVectorTile({ extent: 4096, layers }));
+}
+
+module.exports = { overzoomTile, OVERZOOM_MAXZOOM };
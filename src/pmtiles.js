@@ -1,12 +1,51 @@
 const path = require('path');
 const fs = require('fs');
-const { exec, spawn } = require('child_process');
+const MBTiles = require('./mbtiles');
+const { PMTiles, FetchSource } = require('pmtiles');
+const { Extract, tileRanges, mergeRanges, upstreamVersion, isOutdated } = require('./extract');
+const { flattenGeometry, validateGeometries, geometryBounds, coverZoom, coverGeometries, bboxToGeometries } = require('./coverage');
+
+const CONTENT_TYPES = {
+  pbf: 'application/x-protobuf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// abort reason on plugin stop, interrupted downloads are resumed on next start
+const STOPPED = 'stopped';
+// abort reason outside download windows/networks, resumed by the schedule check
+const PAUSED = 'paused';
+const SCHEDULE_INTERVAL = 60000;
+
+// queue items: sectors as "z/x/y", areas as "area/{id}"
+const QUEUE_ITEM = /^(\d+\/\d+\/\d+|area\/[\w-]+)$/;
+const AREA_COVER_MAXZOOM = 12; // areas are covered with tiles of this zoom level (or lower for large areas)
+const AREA_COVER_MAXTILES = 4096;
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+const USER_AGENT = `signalk-seamap-plugin/${require('../package.json').version}`;
+
+// Error for invalid request parameters, sent as 400 response
+function badRequest(error, message) {
+  return Object.assign(new Error(message), { status: 400, error });
+}
+
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.error || 'Internal error', message: err.message });
+}
 
 class Pmtiles {
-  constructor(seamap) {
+  constructor(seamap, bandwidth, schedule) {
     this.seamap = seamap;
+    this.bandwidth = bandwidth;
+    this.schedule = schedule;
+    this.scheduleTimer = null;
     this.state = this.emtpyState();
     this.cache = {};
+    this.clients = new Set(); // SSE responses of GET /pmtiles/events
+    this.lastDelta = 0;
+    this.lastProgress = 0;
   }
 
   static SOURCES() {
@@ -14,6 +53,7 @@ class Pmtiles {
       {
         name: 'seamap',
         url: 'https://fsn1.your-objectstorage.com/mtk-seamap/seamap.pmtiles',
+        type: 'pmtiles',
         output: 'seamap.pmtiles',
         minzoom: 0,
         maxzoom: 14,
@@ -24,6 +64,7 @@ class Pmtiles {
       {
         name: 'osm',
         url: 'https://fsn1.your-objectstorage.com/mtk-seamap/osm.pmtiles',
+        type: 'pmtiles',
         output: 'osm.pmtiles',
         minzoom: 0,
         maxzoom: 14,
@@ -34,6 +75,7 @@ class Pmtiles {
       {
         name: 'mapterhorn',
         url: 'https://download.mapterhorn.com/planet.pmtiles',
+        type: 'pmtiles',
         output: 'mapterhorn.pmtiles',
         minzoom: 0,
         maxzoom: 10,
@@ -46,6 +88,7 @@ class Pmtiles {
       {
         name: 'gebco',
         url: 'https://fsn1.your-objectstorage.com/mtk-seamap/gebco.pmtiles',
+        type: 'pmtiles',
         output: 'gebco.pmtiles',
         minzoom: 0,
         maxzoom: 9,
@@ -58,6 +101,7 @@ class Pmtiles {
       {
         name: 'emod',
         url: 'https://fsn1.your-objectstorage.com/mtk-seamap/emod.pmtiles',
+        type: 'pmtiles',
         output: 'emod.pmtiles',
         minzoom: 0,
         maxzoom: 11,
@@ -70,6 +114,229 @@ class Pmtiles {
     ];
   }
 
+  /**
+   * Built-in sources merged with MBTiles files from the mbtiles folder and user-defined sources from plugin options
+   * A user-defined source replaces the built-in source with the same name
+   * Sources with a local path instead of an URL get `path` and are never fetched online
+   */
+  static getSources(options = {}) {
+    const sources = Pmtiles.SOURCES();
+
+    // MBTiles files dropped into the mbtiles folder
+    for (const source of MBTiles.discover(options.mbtilesPath, sources.map(source => source.name))) {
+      sources.push({ ...source, contentType: CONTENT_TYPES[source.format], userDefined: true });
+    }
+
+    for (const userSource of options.sources || []) {
+      if (!userSource?.name || !/^[\w-]+$/.test(userSource.name) || !userSource.url) continue;
+
+      const format = CONTENT_TYPES[userSource.format] ? userSource.format : 'pbf';
+      const isRemote = /^https?:\/\//.test(userSource.url);
+      const source = {
+        name: userSource.name,
+        type: userSource.type || 'pmtiles',
+        url: isRemote ? userSource.url : undefined,
+        path: isRemote ? undefined : path.resolve(options.pmtilesPath || '', userSource.url),
+        output: `${userSource.name}.pmtiles`,
+        minzoom: userSource.minzoom ?? 0,
+        maxzoom: userSource.maxzoom ?? 14,
+        format,
+        contentType: CONTENT_TYPES[format],
+        tileSize: format === 'pbf' ? undefined : (userSource.tileSize || 256),
+        encoding: userSource.encoding || undefined,
+        datumOffset: userSource.datumOffset,
+        attribution: userSource.attribution || '',
+        maxAge: userSource.maxAge,
+        maxStale: userSource.maxStale,
+        scheme: userSource.scheme === 'tms' ? 'tms' : 'xyz',
+        headers: {
+          'User-Agent': userSource.userAgent || USER_AGENT,
+          ...Object.fromEntries((userSource.headers || []).filter(h => h?.name).map(h => [h.name, h.value || '']))
+        },
+        userDefined: true
+      };
+
+      // bounds, center and vector layers from MBTiles metadata
+      if (source.type === 'mbtiles' && source.path && !MBTiles.unavailable()) {
+        try {
+          const { bounds, center, description, vector_layers } = MBTiles.readSource(source.path, source.name);
+          Object.assign(source, { bounds, center, description, vector_layers });
+        } catch (err) {
+          console.error(`Error reading MBTiles metadata of ${source.path}:`, err);
+        }
+      }
+
+      const index = sources.findIndex(s => s.name === source.name);
+      if (index >= 0) sources[index] = source;
+      else sources.push(source);
+    }
+
+    return sources;
+  }
+
+  /**
+   * Downloaded areas from {pmtilesPath}/areas/{id}/area.json
+   * Results are memoized until the areas folder changes
+   */
+  static getAreas(options = {}) {
+    if (!options.pmtilesPath) return [];
+    const folder = path.join(options.pmtilesPath, 'areas');
+    if (!fs.existsSync(folder)) return [];
+
+    const memoKey = `${folder}:${fs.statSync(folder).mtimeMs}`;
+    if (Pmtiles.areasMemo?.key === memoKey) {
+      return Pmtiles.areasMemo.areas;
+    }
+
+    const areas = [];
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      const dir = path.join(folder, entry.name);
+      try {
+        const area = JSON.parse(fs.readFileSync(path.join(dir, 'area.json'), 'utf8'));
+        const tiles = new Set(area.tiles.map(([x, y]) => `${x}/${y}`));
+        // parent tiles of the cover tiles, for lookups below the cover zoom level
+        const parents = new Set();
+        for (const [x, y] of area.tiles) {
+          for (let z = area.zoom - 1; z >= 0; z--) {
+            const scale = Math.pow(2, area.zoom - z);
+            parents.add(`${z}/${Math.floor(x / scale)}/${Math.floor(y / scale)}`);
+          }
+        }
+        areas.push({ ...area, dir, tileSet: tiles, parentSet: parents });
+      } catch (err) {
+        console.error(`Error reading area ${entry.name}:`, err);
+      }
+    }
+
+    Pmtiles.areasMemo = { key: memoKey, areas };
+    return areas;
+  }
+
+  /**
+   * Check if a tile is part of a downloaded area
+   */
+  static areaContains(area, z, x, y) {
+    if (area.maxzoom !== null && z > area.maxzoom) return false;
+    if (z < area.zoom) return area.parentSet.has(`${z}/${x}/${y}`);
+    const scale = Math.pow(2, z - area.zoom);
+    return area.tileSet.has(`${Math.floor(x / scale)}/${Math.floor(y / scale)}`);
+  }
+
+  // Sources extracted into sector downloads
+  getDownloadSources() {
+    return Pmtiles.getSources(this.seamap.options).filter(s => s.type === 'pmtiles' && s.url);
+  }
+
+  /**
+   * Parse the source selection of a download request: "osm,emod:10", ["osm", "emod:10"] or { osm: null, emod: 10 }
+   * Returns { name: maxzoom or null } or null for all sources, throws a bad request on unknown sources or invalid zoom levels
+   */
+  parseSourceSelection(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let entries;
+    if (typeof value === 'string' || Array.isArray(value)) {
+      const items = typeof value === 'string' ? value.split(',') : value;
+      entries = items.map(item => String(item).trim()).filter(item => item).map(item => {
+        const [name, maxzoom] = item.split(':');
+        return [name, maxzoom];
+      });
+    } else if (typeof value === 'object') {
+      entries = Object.entries(value);
+    } else {
+      throw badRequest('Invalid sources parameter', 'sources must be a list of source names with optional max zoom (e.g. osm,emod:10)');
+    }
+
+    const names = this.getDownloadSources().map(s => s.name);
+    const selection = {};
+    for (const [name, maxzoom] of entries) {
+      if (!names.includes(name)) {
+        throw badRequest('Invalid sources parameter', `Unknown source: ${name}. Available: ${names.join(', ')}`);
+      }
+      const zoom = maxzoom === undefined || maxzoom === null || maxzoom === '' ? null : Number(maxzoom);
+      if (zoom !== null && (!Number.isInteger(zoom) || zoom < 0 || zoom > 22)) {
+        throw badRequest('Invalid sources parameter', `Invalid max zoom for ${name}: ${maxzoom}`);
+      }
+      selection[name] = zoom;
+    }
+    if (Object.keys(selection).length === 0) throw badRequest('Invalid sources parameter', 'No sources selected');
+    return selection;
+  }
+
+  /**
+   * Sources of a queued sector/area, limited to the requested sources and max zoom levels
+   * Updates only include sources already in the sector, up to the max zoom of their earlier download,
+   * with `base` set to the existing archive and `baseVersion` to its recorded upstream version
+   */
+  getJobSources(item) {
+    const { sources: selection, update } = this.state.requests[item] || {};
+    const sources = this.selectSources(selection);
+    if (!update) return sources;
+
+    const dir = this.itemDir(item);
+    const manifest = this.readManifest(dir);
+    return sources
+      .filter(source => fs.existsSync(path.join(dir, source.output)))
+      .map(source => ({
+        ...source,
+        maxzoom: selection?.[source.name] != null
+          ? source.maxzoom
+          : Math.min(manifest.sources[source.name]?.requestedMaxzoom ?? source.maxzoom, source.maxzoom),
+        base: path.join(dir, source.output),
+        baseVersion: manifest.sources[source.name]
+      }));
+  }
+
+  // Download sources limited to a selection { name: maxzoom or null }, all sources without selection
+  selectSources(selection) {
+    const sources = this.getDownloadSources();
+    if (!selection) return sources;
+    return sources
+      .filter(source => source.name in selection)
+      .map(source => ({ ...source, maxzoom: Math.min(selection[source.name] ?? source.maxzoom, source.maxzoom) }));
+  }
+
+  /**
+   * Sources contained in a sector/area directory with size, tile count and zoom levels from the PMTiles header
+   */
+  async readArchiveSources(dir) {
+    const sources = [];
+    for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+      if (!name.endsWith('.pmtiles')) continue;
+      const file = path.join(dir, name);
+      let handle;
+      try {
+        handle = await fs.promises.open(file, 'r');
+        const header = Buffer.alloc(127);
+        await handle.read(header, 0, 127, 0);
+        const { size, mtime } = await handle.stat();
+        sources.push({
+          name: name.slice(0, -'.pmtiles'.length),
+          size,
+          tiles: Number(header.readBigUInt64LE(72)),
+          minzoom: header.readUInt8(100),
+          maxzoom: header.readUInt8(101),
+          modified: mtime
+        });
+      } catch (err) {
+        console.error(`Error reading ${file}:`, err);
+      } finally {
+        await handle?.close();
+      }
+    }
+    return sources.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Move the files of a finished download into the final directory, replacing sources downloaded again
+  async mergeDir(tmpDir, finalDir) {
+    await fs.promises.mkdir(finalDir, { recursive: true });
+    for (const name of await fs.promises.readdir(tmpDir)) {
+      await fs.promises.rename(path.join(tmpDir, name), path.join(finalDir, name));
+    }
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+
   emtpyState() {
     return {
       active: false,
@@ -77,278 +344,921 @@ class Pmtiles {
       done: [],
       failed: [],
       progress: null,
-      process: null,
-      current: 0
+      bytes: null,
+      paused: null, // reason while the queue waits for a download window/network
+      abort: null,
+      sources: {}, // progress of the current sector per source: { etag, total, bytes, complete }
+      requests: {}, // per queued sector/area: { sources: { name: maxzoom or null }, update }
+      sourceCounts: {}, // per queued, done and failed sector/area: number of its sources, for the status
+      completed: 0 // sources of the current sector completed (or unchanged)
     };
   }
 
-  // Check if pmtiles CLI is installed
-  checkPmtiles(callback) {
-    // Use 'where' on Windows, 'which' on Unix-like systems
-    const command = process.platform === 'win32' ? 'where pmtiles' : 'which pmtiles';
+  // File with the persisted download queue and progress of the current sector
+  stateFile() {
+    return path.join(this.seamap.options.pmtilesPath, '.downloads.json');
+  }
 
-    exec(command, (err, stdout) => {
-      if (err || !stdout.trim()) {
-        callback(false, null);
-      } else {
-        // On Windows, 'where' can return multiple paths, use the first one
-        const pmtilesPath = stdout.trim().split('\n')[0].trim();
-        callback(true, pmtilesPath);
+  // Persist queue and progress (atomic write), the file is removed when the queue is empty
+  saveState() {
+    const { queue, done, failed, sources, requests } = this.state;
+    const file = this.stateFile();
+    // serialize writes, checkpoints and queue changes may overlap
+    this.saving = (this.saving || Promise.resolve()).then(async () => {
+      if (queue.length === 0) {
+        await fs.promises.rm(file, { force: true });
+        return;
       }
-    });
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ queue, done, failed, sources, requests }));
+      await fs.promises.rename(`${file}.tmp`, file);
+    }).catch(err => console.error('Error saving download state:', err));
+    return this.saving;
   }
 
-  // GET /pmtiles - List all downloaded tile directories
-  list(req, res) {
-    this.checkPmtiles((installed, pmtilesPath) => {
-      if (!installed) {
-        return res.status(503).json({
-          error: 'pmtiles not installed',
-          message: 'The pmtiles CLI tool is not installed on this system'
-        });
+  /**
+   * Resume downloads interrupted by a restart or power loss
+   * Temp directories of sectors that cannot be resumed are removed
+   * Missing MBTiles support is reported as plugin error when MBTiles sources are configured
+   */
+  async initialize() {
+    const { mbtilesPath, sources } = this.seamap.options;
+    const mbtilesError = MBTiles.unavailable();
+    if (mbtilesError && (MBTiles.files(mbtilesPath).length || sources?.some(source => source?.type === 'mbtiles'))) {
+      this.seamap.app?.setPluginError?.(mbtilesError);
+    }
+
+    const tilesPath = this.seamap.options.pmtilesPath;
+    if (!tilesPath) return;
+
+    clearInterval(this.scheduleTimer);
+    this.scheduleTimer = setInterval(() => this.checkSchedule(), SCHEDULE_INTERVAL);
+
+    let saved = null;
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.stateFile(), 'utf8'));
+    } catch (err) {
+      // no interrupted downloads
+    }
+
+    const queue = (saved?.queue || []).filter(item => QUEUE_ITEM.test(item));
+    const resumable = queue.length ? `.${queue[0].replace(/\//g, '_')}` : null;
+
+    const entries = await fs.promises.readdir(tilesPath).catch(() => []);
+    for (const name of entries) {
+      // temp directories of interrupted downloads and imports
+      if (/^\.(\d+_\d+_\d+|import-\w+)$/.test(name) && name !== resumable) {
+        await fs.promises.rm(path.join(tilesPath, name), { recursive: true, force: true }).catch(() => {});
       }
+    }
 
-      const tilesPath = this.seamap.options.pmtilesPath;
-      if (!tilesPath) res.status(500).send("No pmtilesPath configured");
+    // temp directories of queued areas hold the area definition
+    const areasPath = path.join(tilesPath, 'areas');
+    for (const name of await fs.promises.readdir(areasPath).catch(() => [])) {
+      if (name.startsWith('.') && !queue.includes(`area/${name.slice(1)}`)) {
+        await fs.promises.rm(path.join(areasPath, name), { recursive: true, force: true }).catch(() => {});
+      }
+    }
 
-      fs.access(tilesPath, fs.constants.R_OK, (err) => {
-        if (err) {
-          return res.json({
-            pmtilesPath,
-            basePath: tilesPath,
-            tiles: []
-          });
-        }
+    if (queue.length && !this.state.active) {
+      this.state = {
+        ...this.emtpyState(),
+        active: true,
+        queue,
+        done: saved.done || [],
+        failed: saved.failed || [],
+        sources: saved.sources || {},
+        requests: saved.requests || {}
+      };
+      this.seamap.app?.debug?.(`Resuming download of ${queue.length} sector(s)/area(s)`);
+      this.processNextTile();
+    }
+  }
 
-        fs.readdir(tilesPath, { withFileTypes: true }, (err, entries) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to read tiles directory' });
-          }
+  // Stop downloads on plugin stop, the persisted state is resumed on next start
+  stop() {
+    clearInterval(this.scheduleTimer);
+    this.state.abort?.abort(STOPPED);
+    this.state = this.emtpyState();
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+  }
 
-          const tiles = [];
-          let pending = entries.length;
+  // GET /pmtiles - List all downloaded tile directories and areas with the sources they contain
+  async list(req, res) {
+    const tilesPath = this.seamap.options.pmtilesPath;
+    if (!tilesPath) return res.status(500).send("No pmtilesPath configured");
 
-          if (pending === 0) {
-            return res.json({
-              pmtilesPath,
-              basePath: tilesPath,
-              tiles: []
-            });
-          }
+    const sources = this.getDownloadSources().map(({ name, minzoom, maxzoom }) => ({ name, minzoom, maxzoom }));
+
+    const areas = await Promise.all(Pmtiles.getAreas(this.seamap.options).map(async ({ id, name, bounds, maxzoom, corridor, created, dir }) => ({
+      id, name, bounds, maxzoom, corridor, created,
+      ...await this.describeDir(dir, created)
+    })));
+
+    let entries;
+    try {
+      await fs.promises.access(tilesPath, fs.constants.R_OK);
+      entries = await fs.promises.readdir(tilesPath, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EACCES') {
+        return res.json({ basePath: tilesPath, tiles: [], areas, sources });
+      }
+      return res.status(500).json({ error: 'Failed to read tiles directory' });
+    }
 
-          entries.forEach((entry) => {
-            if (entry.isDirectory() && !entry.name.startsWith('.')) {
-              const dirPath = path.join(tilesPath, entry.name);
-              fs.stat(dirPath, (err, stats) => {
-                if (!err) {
-                  tiles.push({
-                    name: entry.name,
-                    created: stats.birthtime,
-                    modified: stats.mtime
-                  });
-                }
-                pending--;
-                if (pending === 0) {
-                  res.json({
-                    pmtilesPath,
-                    basePath: tilesPath,
-                    tiles: tiles.sort((a, b) => a.name.localeCompare(b.name))
-                  });
-                }
-              });
-            } else {
-              pending--;
-              if (pending === 0) {
-                res.json({
-                  pmtilesPath,
-                  basePath: tilesPath,
-                  tiles: tiles.sort((a, b) => a.name.localeCompare(b.name))
-                });
-              }
-            }
-          });
+    const tiles = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !/^\d+_\d+_\d+$/.test(entry.name)) continue;
+      const dirPath = path.join(tilesPath, entry.name);
+      try {
+        const stats = await fs.promises.stat(dirPath);
+        tiles.push({
+          name: entry.name,
+          created: stats.birthtime,
+          modified: stats.mtime,
+          ...await this.describeDir(dirPath, stats.mtime)
         });
-      });
+      } catch (err) {
+        // removed while listing
+      }
+    }
+
+    res.json({
+      basePath: tilesPath,
+      tiles: tiles.sort((a, b) => a.name.localeCompare(b.name)),
+      areas,
+      sources
     });
   }
 
+  /**
+   * Size, download date, contained sources and manifest of a sector/area directory
+   * Directories without manifest (downloaded before manifests were written) fall back to the file dates
+   */
+  async describeDir(dir, fallbackDate) {
+    const sources = await this.readArchiveSources(dir);
+    const manifest = this.readManifest(dir);
+    // age of the oldest source, updates without changes keep the download date
+    const dates = Object.values(manifest.sources).map(source => source.downloaded).filter(date => date).sort();
+    return {
+      size: sources.reduce((sum, source) => sum + source.size, 0),
+      downloaded: dates[0] || fallbackDate,
+      sources,
+      manifest: manifest.name ? manifest : null
+    };
+  }
+
   // GET /pmtiles/status - Simple polling endpoint for download status
   status(req, res) {
+    res.json(this.getStatus());
+  }
+
+  // Download status, total and done count source files of all queued, finished and failed sectors
+  getStatus() {
     const state = this.state;
-    res.json({
+    // counted once per item, items of a resumed queue on the first status
+    const count = (items) => items.reduce((sum, item) => sum + (state.sourceCounts[item] ??= this.getJobSources(item).length), 0);
+    const finished = count(state.done) + count(state.failed);
+    return {
       active: state.active,
-      total: (state.queue.length + state.done.length + state.failed.length) * Pmtiles.SOURCES().length,
-      done: Math.max(0, (state.done.length + state.failed.length) * Pmtiles.SOURCES().length + state.current - 1),
+      total: finished + count(state.queue),
+      done: finished + state.completed,
+      queue: state.queue.length,
+      paused: state.paused,
       progress: state.progress,
+      bytes: state.bytes
+    };
+  }
+
+  // GET /pmtiles/events - Server-Sent Events with download progress per sector and source
+  events(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    this.sendEvent(res, 'status', { type: 'status', status: this.getStatus() });
+    this.clients.add(res);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      this.clients.delete(res);
     });
   }
 
-  // POST /pmtiles/cancel - Cancel all downloads
-  cancel(req, res) {
-    if (this.state.process) {
-      try {
-        this.state.process.kill('SIGTERM');
-      } catch (e) {
-        // Process already ended
+  sendEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.(); // compression middleware buffers otherwise
+  }
+
+  /**
+   * Publish a download event to SSE clients and as Signal K delta
+   * Types: queued, started, progress, finished (source or whole sector without source), failed, cancelled, complete
+   */
+  emit(type, data = {}) {
+    const status = this.getStatus();
+    const event = { type, ...data, time: new Date(), status };
+    for (const res of this.clients) {
+      this.sendEvent(res, type, event);
+    }
+    this.publishDelta(event);
+  }
+
+  /**
+   * Download progress as Signal K delta under seamap.download, progress events at most once per second
+   */
+  publishDelta(event) {
+    const app = this.seamap.app;
+    if (!app?.handleMessage) return;
+    if (event.type === 'progress' && Date.now() - this.lastDelta < 1000) return;
+    this.lastDelta = Date.now();
+
+    const { status } = event;
+    const current = status.bytes?.total ? status.bytes.done / status.bytes.total : 0;
+    const values = [
+      { path: 'seamap.download.active', value: status.active },
+      { path: 'seamap.download.progress', value: status.total ? Math.min(1, (status.done + (status.active ? current : 0)) / status.total) : 0 },
+      { path: 'seamap.download.queue', value: status.queue },
+      { path: 'seamap.download.paused', value: status.paused },
+      {
+        path: 'seamap.download.current',
+        value: status.progress ? { sector: status.progress[0], source: status.progress[1], bytes: status.bytes?.done ?? 0, total: status.bytes?.total ?? 0 } : null
+      },
+      {
+        path: 'seamap.download.event',
+        value: { type: event.type, sector: event.sector ?? null, source: event.source ?? null, reason: event.reason ?? null }
       }
+    ];
+
+    const update = { values };
+    if (!this.deltaMetaSent) {
+      this.deltaMetaSent = true;
+      update.meta = [
+        { path: 'seamap.download.progress', value: { units: 'ratio', description: 'Progress of all queued offline chart downloads' } },
+        { path: 'seamap.download.queue', value: { description: 'Sectors and areas waiting for download' } }
+      ];
+    }
+    try {
+      app.handleMessage(this.seamap.id, { updates: [update] });
+    } catch (err) {
+      console.error('Error publishing download delta:', err);
     }
+  }
+
+  // POST /pmtiles/cancel - Cancel all downloads
+  cancel(req, res) {
+    this.state.abort?.abort();
     this.state = this.emtpyState();
+    this.saveState();
+    this.emit('cancelled');
     res.json({ status: 'cancelled' });
   }
 
-  // Parse pmtiles progress output
-  parseProgress(line) {
-    const match = line.match(/([\d\.]+\s*(kB|MB)?\s*\/\s*([\d\.]+)\s*(kB|MB))/);
-    return match ? match[1] : null;
+  // Format byte progress like "1.2 MB / 14.0 MB"
+  formatProgress(bytes, total) {
+    const format = (value) => value >= 1024 * 1024
+      ? `${(value / 1024 / 1024).toFixed(1)} MB`
+      : `${(value / 1024).toFixed(0)} kB`;
+    return `${format(bytes)} / ${format(total)}`;
   }
 
-  // POST /pmtiles - Start download for tiles (accepts single tile or array)
-  download(req, res) {
+  // JSON request body, parsed by the server or read from the request stream
+  async readBody(req) {
+    if (req.body && typeof req.body === 'object') return req.body;
+    if (!req.is?.('application/json')) return {};
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) throw new Error('Request body too large');
+      chunks.push(chunk);
+    }
+    return chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+  }
+
+  /**
+   * Add sectors/areas to the queue and start processing
+   * request: { sources: selected sources (null for all), update: re-download outdated sources of existing archives }
+   */
+  enqueue(items, request = {}) {
+    for (const item of items) {
+      if (!this.state.queue.includes(item)) {
+        this.state.queue.push(item);
+      }
+      // a sector queued again replaces the request, unless its download is already running
+      if (item !== this.state.queue[0] || !this.state.active) {
+        if (request.sources || request.update) this.state.requests[item] = request;
+        else delete this.state.requests[item];
+      }
+      const sources = this.getJobSources(item);
+      this.state.sourceCounts[item] = sources.length;
+      this.emit('queued', { sector: item, update: !!request.update, sources: sources.map(s => s.name) });
+    }
+    this.saveState();
+
+    // Start downloading first tile
+    if (!this.state.active) {
+      this.state.active = true;
+      this.processNextTile();
+    }
+  }
+
+  /**
+   * Parse the parameters of a download (query and JSON body), shared by POST /pmtiles and GET /pmtiles/estimate
+   * Returns { tiles, selection } for zoom 6 sectors or { area, selection } for an exact area
+   * Throws an error with status and error title on invalid parameters
+   */
+  async parseDownload(req) {
     let tiles = req.query.tile;
 
+    if (!tiles && (req.query.bbox || req.query.geometry || req.is?.('application/json'))) {
+      return this.parseArea(req);
+    }
+
     // Support both single tile and comma-separated list
     if (typeof tiles === 'string') {
       tiles = tiles.split(',').map(t => t.trim()).filter(t => t);
     }
 
     if (!tiles || tiles.length === 0) {
-      return res.status(400).json({
-        error: 'Invalid tile parameter',
-        message: 'Tile must be in format z/x/y (e.g., 6/34/22)'
-      });
+      throw badRequest('Invalid tile parameter', 'Tile must be in format z/x/y (e.g., 6/34/22)');
     }
 
     // Validate all tiles
     for (const tile of tiles) {
       if (!/^\d+\/\d+\/\d+$/.test(tile)) {
-        return res.status(400).json({
-          error: 'Invalid tile parameter',
-          message: `Invalid tile format: ${tile}. Must be z/x/y (e.g., 6/34/22)`
-        });
+        throw badRequest('Invalid tile parameter', `Invalid tile format: ${tile}. Must be z/x/y (e.g., 6/34/22)`);
       }
     }
 
-    this.checkPmtiles((installed, pmtilesPath) => {
-      if (!installed) {
-        return res.status(503).json({
-          error: 'pmtiles not installed',
-          message: 'The pmtiles CLI tool is not installed on this system'
-        });
-      }
+    return { tiles, selection: this.parseSourceSelection(req.query.sources) };
+  }
 
-      for (const tile of tiles) {
-        if (!this.state.queue.includes(tile)) {
-          this.state.queue.push(tile);
+  // Area as bbox, polygon or route corridor, as exact area or as covering sectors
+  async parseArea(req) {
+    let params;
+    try {
+      params = { ...req.query, ...(await this.readBody(req)) };
+      if (typeof params.geometry === 'string') params.geometry = JSON.parse(params.geometry);
+    } catch (err) {
+      throw badRequest('Invalid request body', err.message);
+    }
+
+    const corridor = params.corridor !== undefined ? parseFloat(params.corridor) : 0;
+    const maxzoom = params.maxzoom !== undefined && params.maxzoom !== '' ? parseInt(params.maxzoom) : null;
+    if (maxzoom !== null && (isNaN(maxzoom) || maxzoom < 0 || maxzoom > 22)) {
+      throw badRequest('Invalid maxzoom parameter', 'maxzoom must be between 0 and 22');
+    }
+
+    let geometries;
+    try {
+      if (params.bbox) {
+        const bbox = (Array.isArray(params.bbox) ? params.bbox : String(params.bbox).split(',')).map(parseFloat);
+        if (bbox.length !== 4 || bbox.some(isNaN) || bbox[1] >= bbox[3]) {
+          throw new Error('bbox must be in format west,south,east,north');
         }
+        geometries = bboxToGeometries(bbox);
+      } else {
+        geometries = flattenGeometry(params.geometry);
       }
+    } catch (err) {
+      throw badRequest('Invalid area', err.message);
+    }
 
-      // Start downloading first tile
-      if (!this.state.active) {
-        this.state.active = true;
-        this.processNextTile(pmtilesPath);
-      }
+    const invalid = validateGeometries(geometries, corridor);
+    if (invalid) {
+      throw badRequest('Invalid area', invalid);
+    }
 
-      res.json({
+    const selection = this.parseSourceSelection(params.sources);
+
+    // covering zoom 6 sectors
+    if (params.sectors === true || params.sectors === 'true') {
+      const tiles = coverGeometries(geometries, corridor, 6).map(([x, y]) => `6/${x}/${y}`);
+      return { tiles, selection };
+    }
+
+    // exact area, covered with tiles of the highest zoom level that keeps the cover small
+    let zoom = coverZoom(geometries, corridor, Math.min(maxzoom ?? AREA_COVER_MAXZOOM, AREA_COVER_MAXZOOM), AREA_COVER_MAXTILES);
+    let tiles = coverGeometries(geometries, corridor, zoom);
+    // corridors may reach slightly beyond their bounds
+    while (tiles.length > AREA_COVER_MAXTILES && zoom > 0) {
+      zoom--;
+      tiles = coverGeometries(geometries, corridor, zoom);
+    }
+
+    const area = {
+      name: typeof params.name === 'string' && params.name ? params.name : undefined,
+      bounds: geometryBounds(geometries, corridor),
+      maxzoom,
+      corridor: corridor || undefined,
+      zoom,
+      tiles
+    };
+    return { area, selection };
+  }
+
+  /**
+   * POST /pmtiles - Start download
+   * ?tile=6/34/22,6/34/23 - zoom 6 sectors
+   * bbox=west,south,east,north or geometry (GeoJSON polygon, or line with corridor in nm) as query or JSON body,
+   * with maxzoom, name and sectors=true to download the covering zoom 6 sectors instead of the exact area
+   * sources=osm,emod:10 - only these sources, optionally with a lower max zoom (default: all sources, full zoom)
+   */
+  async download(req, res) {
+    let request;
+    try {
+      request = await this.parseDownload(req);
+    } catch (err) {
+      return sendError(res, err);
+    }
+
+    const { tiles, area, selection } = request;
+    if (tiles) {
+      this.enqueue(tiles, { sources: selection });
+      return res.json({
         status: 'ok',
         tiles: tiles,
-        total: tiles.length
+        total: tiles.length,
+        sources: selection
       });
+    }
+
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    Object.assign(area, { id, name: area.name || id, created: new Date() });
+
+    try {
+      const tmpDir = path.join(this.seamap.options.pmtilesPath, 'areas', `.${id}`);
+      await fs.promises.mkdir(tmpDir, { recursive: true });
+      await fs.promises.writeFile(path.join(tmpDir, 'area.json'), JSON.stringify(area));
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to create area', message: err.message });
+    }
+
+    this.enqueue([`area/${id}`], { sources: selection });
+
+    const { name, bounds, maxzoom, corridor, zoom } = area;
+    res.json({
+      status: 'ok',
+      tiles: [`area/${id}`],
+      total: 1,
+      sources: selection,
+      area: { id, name, bounds, maxzoom, corridor, tiles: area.tiles.length, zoom }
+    });
+  }
+
+  /**
+   * GET /pmtiles/estimate - Exact size and tile count per source of a download, same parameters as POST /pmtiles
+   * Reads the remote directories only, no tile data is downloaded
+   */
+  async estimate(req, res) {
+    let request;
+    try {
+      request = await this.parseDownload(req);
+    } catch (err) {
+      return sendError(res, err);
+    }
+
+    if (this.seamap.options.offlineMode) {
+      return res.status(503).json({ error: 'Offline mode', message: 'Estimation reads the remote archives' });
+    }
+
+    const { tiles, area, selection } = request;
+    const jobs = tiles ? tiles.map(tile => this.sectorJob(tile)) : [this.areaJob(area)];
+    const sources = [];
+    try {
+      for (const source of this.selectSources(selection)) {
+        // one archive per source, directories are fetched once for all sectors
+        const archive = new PMTiles(new FetchSource(source.url, new Headers(source.headers)));
+        let bytes = 0;
+        let tileCount = 0;
+        for (const job of jobs) {
+          const extract = await new Extract(source, job.ranges(source), job.bounds, { archive }).plan();
+          bytes += extract.totalBytes;
+          tileCount += extract.header.numAddressedTiles;
+        }
+        sources.push({ name: source.name, maxzoom: source.maxzoom, bytes, tiles: tileCount });
+      }
+    } catch (err) {
+      return res.status(502).json({ error: 'Failed to read remote archive', message: err.message });
+    }
+
+    const bytes = sources.reduce((sum, source) => sum + source.bytes, 0);
+    const disk = await this.getFreeSpace();
+    res.json({
+      tiles: tiles || [],
+      area: area && { bounds: area.bounds, maxzoom: area.maxzoom, zoom: area.zoom, tiles: area.tiles.length },
+      sources,
+      bytes,
+      tileCount: sources.reduce((sum, source) => sum + source.tiles, 0),
+      disk,
+      fits: disk ? bytes <= disk.free : null
     });
   }
 
+  /**
+   * Compare the upstream version of every source in the downloaded sectors/areas with the remote archives
+   * Returns { sectors, areas, outdated: [items with at least one outdated source] }
+   */
+  async checkUpdates() {
+    const tilesPath = this.seamap.options.pmtilesPath;
+    const downloadSources = this.getDownloadSources();
+    const remote = {}; // key: source name, value: Promise of the remote version
+
+    const checkDir = async (dir) => {
+      const manifest = this.readManifest(dir);
+      const sources = [];
+      for (const { name } of await this.readArchiveSources(dir)) {
+        const entry = manifest.sources[name];
+        const source = downloadSources.find(s => s.name === name);
+        if (!source) {
+          sources.push({ name, outdated: null, message: 'Not a download source' });
+          continue;
+        }
+        remote[name] = remote[name] || this.getRemoteVersion(source).catch(err => ({ error: err.message }));
+        const current = await remote[name];
+        if (current.error) {
+          sources.push({ name, outdated: null, message: current.error });
+        } else if (!entry) {
+          // downloaded before manifests were written
+          sources.push({ name, outdated: null, message: 'Unknown upstream version', remoteEtag: current.etag });
+        } else {
+          sources.push({ name, outdated: isOutdated(entry, current), downloaded: entry.downloaded, etag: entry.etag, remoteEtag: current.etag });
+        }
+      }
+      return { outdated: sources.some(source => source.outdated), sources };
+    };
+
+    const entries = await fs.promises.readdir(tilesPath, { withFileTypes: true }).catch(() => []);
+    const sectors = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !/^\d+_\d+_\d+$/.test(entry.name)) continue;
+      sectors.push({ tile: entry.name.replace(/_/g, '/'), ...await checkDir(path.join(tilesPath, entry.name)) });
+    }
+
+    const areas = [];
+    for (const area of Pmtiles.getAreas(this.seamap.options)) {
+      areas.push({ id: area.id, name: area.name, ...await checkDir(area.dir) });
+    }
+
+    return {
+      sectors,
+      areas,
+      outdated: [
+        ...sectors.filter(sector => sector.outdated).map(sector => sector.tile),
+        ...areas.filter(area => area.outdated).map(area => `area/${area.id}`)
+      ]
+    };
+  }
+
+  // GET /pmtiles/check - Flag downloaded sectors and areas whose upstream archives were republished
+  async check(req, res) {
+    if (!this.seamap.options.pmtilesPath) return res.status(500).send("No pmtilesPath configured");
+    if (this.seamap.options.offlineMode) {
+      return res.status(503).json({ error: 'Offline mode', message: 'Checking for updates reads the remote archives' });
+    }
+    res.json(await this.checkUpdates());
+  }
+
+  /**
+   * POST /pmtiles/update - Update downloaded sectors/areas incrementally
+   * ?tiles=6/34/22,area/{id} (default: all outdated), sources=osm,emod to limit the sources
+   * Only sources with a new upstream version are extracted again, tiles of unchanged size are copied from the existing archive
+   */
+  async update(req, res) {
+    if (!this.seamap.options.pmtilesPath) return res.status(500).send("No pmtilesPath configured");
+
+    let selection;
+    try {
+      selection = this.parseSourceSelection(req.query.sources);
+    } catch (err) {
+      return sendError(res, err);
+    }
+
+    let items = typeof req.query.tiles === 'string'
+      ? req.query.tiles.split(',').map(t => t.trim()).filter(t => t)
+      : null;
+    for (const item of items || []) {
+      if (!QUEUE_ITEM.test(item) || !fs.existsSync(this.itemDir(item))) {
+        return res.status(400).json({ error: 'Invalid tiles parameter', message: `Not downloaded: ${item}` });
+      }
+    }
+
+    if (!items) {
+      if (this.seamap.options.offlineMode) {
+        return res.status(503).json({ error: 'Offline mode', message: 'Checking for updates reads the remote archives' });
+      }
+      items = (await this.checkUpdates()).outdated;
+    }
+
+    // the area definition is read from the temp directory of a queued area
+    try {
+      for (const item of items.filter(item => item.startsWith('area/'))) {
+        const dir = this.itemDir(item);
+        const tmpDir = path.join(path.dirname(dir), `.${path.basename(dir)}`);
+        await fs.promises.mkdir(tmpDir, { recursive: true });
+        await fs.promises.copyFile(path.join(dir, 'area.json'), path.join(tmpDir, 'area.json'));
+      }
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to prepare area update', message: err.message });
+    }
+
+    if (items.length) this.enqueue(items, { sources: selection, update: true });
+
+    res.json({
+      status: 'ok',
+      tiles: items,
+      total: items.length
+    });
+  }
+
+  // Free disk space of the pmtiles path (or its nearest existing parent), null if unknown
+  async getFreeSpace() {
+    let dir = this.seamap.options.pmtilesPath;
+    if (!dir) return null;
+    while (!fs.existsSync(dir) && path.dirname(dir) !== dir) dir = path.dirname(dir);
+    try {
+      const stats = await fs.promises.statfs(dir);
+      return { path: this.seamap.options.pmtilesPath, free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Bounds and tile ID ranges of a zoom 6 sector "z/x/y"
+  sectorJob(tile) {
+    const [z, x, y] = tile.split('/').map(Number);
+    return {
+      bounds: this.tileToBbox(x, y, z),
+      ranges: (source) => tileRanges(z, x, y, 0, source.maxzoom)
+    };
+  }
+
+  // Bounds and tile ID ranges of an area (cover tiles with parents and children up to maxzoom)
+  areaJob(area) {
+    const [west, south, east, north] = area.bounds;
+    return {
+      bounds: { west, south, east, north },
+      ranges: (source) => mergeRanges(area.tiles.flatMap(([x, y]) =>
+        tileRanges(area.zoom, x, y, 0, Math.min(area.maxzoom ?? source.maxzoom, source.maxzoom))))
+    };
+  }
+
+  // Directory of a downloaded sector ("z/x/y") or area ("area/{id}")
+  itemDir(item) {
+    const tilesPath = this.seamap.options.pmtilesPath;
+    return item.startsWith('area/')
+      ? path.join(tilesPath, 'areas', item.slice(5))
+      : path.join(tilesPath, item.replace(/\//g, '_'));
+  }
+
+  /**
+   * Directories, tile ID ranges and bounds of a queued sector ("z/x/y") or area ("area/{id}")
+   * Downloads go into a temp directory (".{name}") next to the final directory
+   */
+  async getJob(item) {
+    const finalDir = this.itemDir(item);
+    const tmpDir = path.join(path.dirname(finalDir), `.${path.basename(finalDir)}`);
+
+    if (item.startsWith('area/')) {
+      const area = JSON.parse(await fs.promises.readFile(path.join(tmpDir, 'area.json'), 'utf8'));
+      return { ...this.areaJob(area), tmpDir, finalDir };
+    }
+
+    return { ...this.sectorJob(item), tmpDir, finalDir };
+  }
+
+  /**
+   * Manifest of a sector/area directory, written at download time:
+   * { name, type, tile or area, bbox, size, tiles, created, updated,
+   *   sources: { name: { url, format, etag, version, tileDataLength, size, tiles, minzoom, maxzoom, requestedMaxzoom, downloaded } } }
+   * Directories downloaded before manifests were written return { sources: {} }
+   */
+  readManifest(dir) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+      return { ...manifest, sources: manifest.sources || {} };
+    } catch (err) {
+      return { sources: {} };
+    }
+  }
+
+  // Update the manifest of a finished sector/area with the sources downloaded in this run
+  buildManifest(item, job, manifest, downloaded) {
+    const now = new Date();
+    Object.assign(manifest.sources, downloaded);
+    const sources = Object.values(manifest.sources);
+    const { west, south, east, north } = job.bounds;
+    return {
+      name: path.basename(job.finalDir),
+      type: item.startsWith('area/') ? 'area' : 'sector',
+      ...(item.startsWith('area/') ? { area: item.slice(5) } : { tile: item }),
+      bbox: [west, south, east, north],
+      size: sources.reduce((sum, source) => sum + (source.size || 0), 0),
+      tiles: sources.reduce((sum, source) => sum + (source.tiles || 0), 0),
+      created: manifest.created || now,
+      updated: now,
+      sources: manifest.sources
+    };
+  }
+
+  // Upstream version of a remote source: ETag, metadata version and tile data size of the header
+  async getRemoteVersion(source) {
+    const archive = new PMTiles(new FetchSource(source.url, new Headers(source.headers)));
+    const header = await archive.getHeader();
+    return upstreamVersion(header, await archive.getMetadata());
+  }
+
+  /**
+   * Extract one source of a sector or area into a PMTiles archive
+   * A partial file of an interrupted run is continued when the remote archive is unchanged (same ETag and size)
+   */
+  async extractSource(source, job, outputPath, signal) {
+    const state = this.state;
+    const extract = new Extract(source, job.ranges(source), job.bounds, {
+      signal,
+      base: source.base,
+      baseVersion: source.baseVersion,
+      archive: new PMTiles(this.bandwidth.wrap(new FetchSource(source.url, new Headers(source.headers)))),
+      readSize: this.bandwidth.readSize(),
+      onProgress: (bytes, total) => {
+        state.bytes = { done: bytes, total };
+        state.progress[2] = this.formatProgress(bytes, total);
+        // at most 4 progress events per second, the last one always
+        if (this.state === state && (bytes === total || Date.now() - this.lastProgress >= 250)) {
+          this.lastProgress = Date.now();
+          this.emit('progress', { sector: state.progress[0], source: source.name, bytes, total });
+        }
+      },
+      onCheckpoint: (bytes) => {
+        state.sources[source.name].bytes = bytes;
+        if (this.state === state) return this.saveState();
+      }
+    });
+
+    await extract.plan();
+
+    const saved = state.sources[source.name];
+    const resumable = saved?.etag && saved.etag === extract.etag && saved.total === extract.totalBytes && fs.existsSync(outputPath);
+    const resumeFrom = resumable ? Math.min(saved.bytes, fs.statSync(outputPath).size) : 0;
+    state.sources[source.name] = { etag: extract.etag, total: extract.totalBytes, bytes: resumeFrom, complete: false };
+
+    await extract.write(outputPath, resumeFrom);
+    Object.assign(state.sources[source.name], {
+      complete: true,
+      manifest: {
+        url: source.url,
+        format: source.format,
+        ...upstreamVersion(extract.sourceHeader, extract.metadata),
+        size: extract.totalBytes,
+        tiles: extract.header.numAddressedTiles,
+        minzoom: extract.header.minZoom,
+        maxzoom: extract.header.maxZoom,
+        requestedMaxzoom: source.maxzoom,
+        downloaded: new Date()
+      }
+    });
+    if (this.state === state) await this.saveState();
+  }
+
+  /**
+   * Pause the running queue outside download windows/networks, the current download is kept to resume
+   * Resume a paused queue when downloads are allowed again
+   */
+  async checkSchedule() {
+    const state = this.state;
+    if (!state.active) return;
+
+    const reason = await this.schedule.check();
+    if (this.state !== state) return;
+    if (reason && !state.paused) {
+      state.paused = reason;
+      state.abort?.abort(PAUSED);
+      this.emit('paused', { sector: state.queue[0], reason });
+    } else if (!reason && state.paused) {
+      state.paused = null;
+      this.emit('resumed', { sector: state.queue[0] });
+      this.processNextTile();
+    }
+  }
+
   // Process the current tile or move to next
-  processNextTile(pmtilesPath) {
+  async processNextTile() {
     const state = this.state;
 
     if (!state.active || state.queue.length === 0) {
       this.state = this.emtpyState();
+      if (state.active) this.emit('complete', { done: state.done, failed: state.failed });
       return;
     }
 
-    const tile = state.queue[0];
-    const tilesPath = this.seamap.options.pmtilesPath;
-    const [z, x, y] = tile.split('/');
-    const tileDirName = `${z}_${x}_${y}`;
-    const tmpDir = path.join(tilesPath, "." + tileDirName);
-    const finalDir = path.join(tilesPath, tileDirName);
-    const bbox = this.tileToBbox(parseInt(x), parseInt(y), parseInt(z));
-    const sources = Pmtiles.SOURCES();
-    state.current = 0;
+    if (state.paused) return;
+    const reason = await this.schedule.check();
+    if (this.state !== state) return;
+    if (reason) {
+      state.paused = reason;
+      this.emit('paused', { sector: state.queue[0], reason });
+      return;
+    }
 
-    fs.mkdir(tmpDir, { recursive: true }, (err) => {
-      if (err) {
-        state.failed.push(state.queue.shift());
-        this.processNextTile(pmtilesPath);
-        return;
-      }
+    const tile = state.queue[0];
+    const sources = this.getJobSources(tile);
+    state.sourceCounts[tile] = sources.length;
+    state.completed = 0;
+    state.abort = new AbortController();
+    let current = null;
 
-      let failed = false;
+    let tmpDir;
+    try {
+      const job = await this.getJob(tile);
+      const { finalDir } = job;
+      tmpDir = job.tmpDir;
+      await fs.promises.mkdir(tmpDir, { recursive: true });
+      const manifest = this.readManifest(finalDir);
 
-      const downloadNextSource = () => {
-        if (!state.active) {
-          fs.rm(tmpDir, { recursive: true, force: true }, () => {});
-          return;
-        }
-        if (sources.length === 0) {
-          if (failed) {
-            fs.rm(tmpDir, { recursive: true, force: true }, () => {});
-            state.failed.push(state.queue.shift());
-          } else {
-            fs.rm(finalDir, { recursive: true, force: true }, () => {
-              fs.rename(tmpDir, finalDir, err => {
-                if (err) state.failed.push(state.queue.shift());
-                else state.done.push(state.queue.shift());
-                this.processNextTile(pmtilesPath);
-              });
-            });
-          }
-          return;
+      for (const source of sources) {
+        const outputPath = path.join(tmpDir, source.output);
+        // completed before an interruption
+        const saved = state.sources[source.name];
+        if (saved?.complete && (saved.unchanged || fs.existsSync(outputPath))) {
+          state.completed++;
+          continue;
         }
 
-        state.current++;
-        const source = sources.shift();
-        const outputPath = path.join(tmpDir, source.output);
-        const args = [
-          'extract',
-          source.url,
-          outputPath,
-          `--bbox=${bbox.west},${bbox.south},${bbox.east},${bbox.north}`
-        ];
-        if (source.maxzoom) args.push(`--maxzoom=${source.maxzoom}`);
-
-        const proc = spawn(pmtilesPath, args);
-        state.process = proc;
+        current = source.name;
         state.progress = [tile, source.name, null];
+        state.bytes = null;
+        this.emit('started', { sector: tile, source: source.name });
 
-        proc.stderr.on('data', (data) => {
-          const progress = this.parseProgress(data.toString());
-          if (progress) state.progress[2] = progress;
-        });
-        proc.stdout.on('data', (data) => {
-          const progress = this.parseProgress(data.toString());
-          if (progress) state.progress[2] = progress;
-        });
+        // update: keep archives of unchanged upstream versions, unless a higher max zoom is requested
+        const entry = manifest.sources[source.name];
+        const raised = source.maxzoom > (entry?.requestedMaxzoom ?? entry?.maxzoom);
+        if (source.base && entry && !raised && !isOutdated(entry, await this.getRemoteVersion(source))) {
+          state.sources[source.name] = { complete: true, unchanged: true };
+          state.completed++;
+          this.emit('finished', { sector: tile, source: source.name, unchanged: true });
+          continue;
+        }
+        await this.extractSource(source, job, outputPath, state.abort.signal);
+        state.completed++;
+        this.emit('finished', { sector: tile, source: source.name, bytes: state.bytes?.total });
+      }
+      current = null;
 
-        proc.on('close', (code) => {
-          state.process = null;
-          if (code !== 0) failed = true;
-          downloadNextSource();
-        });
+      const downloaded = {};
+      for (const source of sources) {
+        if (state.sources[source.name]?.manifest) {
+          downloaded[source.name] = state.sources[source.name].manifest;
+        }
+      }
+      await fs.promises.writeFile(path.join(tmpDir, 'manifest.json'),
+        JSON.stringify(this.buildManifest(tile, job, manifest, downloaded), null, 2));
 
-        proc.on('error', () => {
-          state.process = null;
-          failed = true;
-          downloadNextSource();
-        });
-      };
+      // sources not selected in this download stay in the sector
+      await this.mergeDir(tmpDir, finalDir);
+      state.done.push(state.queue.shift());
+      state.completed = 0;
+      this.emit('finished', { sector: tile });
+    } catch (err) {
+      // plugin stopped or paused: keep temp directory and saved state to resume later
+      if (state.abort.signal.reason === STOPPED || state.abort.signal.reason === PAUSED) return;
+      if (tmpDir) await fs.promises.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+      // cancelled: state was reset, stop processing
+      if (state.abort.signal.aborted) return;
+      console.error(`Error downloading sector ${tile}:`, err);
+      state.failed.push(state.queue.shift());
+      state.completed = 0;
+      this.emit('failed', { sector: tile, source: current, reason: err.message });
+    }
 
-      downloadNextSource();
-    });
+    state.progress = null;
+    state.bytes = null;
+    state.sources = {};
+    await this.saveState();
+    this.processNextTile();
   }
 
-  // DELETE /pmtiles?tile=6/34/22 - Delete a tile directory
+  // DELETE /pmtiles?tile=6/34/22 - Delete a tile directory (or ?area={id})
   delete(req, res) {
-    const tile = req.query.tile;
+    const { tile, area } = req.query;
+
+    // DELETE /pmtiles?area={id} - Delete a downloaded area
+    if (area !== undefined) {
+      if (!/^[\w-]+$/.test(area)) {
+        return res.status(400).json({ error: 'Invalid area parameter' });
+      }
+      const areaDir = path.join(this.seamap.options.pmtilesPath, 'areas', area);
+      return fs.rm(areaDir, { recursive: true, force: true }, (err) => {
+        if (err) {
+          return res.status(500).json({ error: 'Failed to delete area directory' });
+        }
+        res.json({ status: 'deleted', area, directory: areaDir });
+      });
+    }
 
     if (!tile || !/^\d+\/\d+\/\d+$/.test(tile)) {
       return res.status(400).json({
@@ -393,7 +1303,11 @@ class Pmtiles {
   middleware(router) {
     router.get('/pmtiles', this.list.bind(this));
     router.get('/pmtiles/status', this.status.bind(this));
+    router.get('/pmtiles/events', this.events.bind(this));
     router.post('/pmtiles', this.download.bind(this));
+    router.get('/pmtiles/estimate', this.estimate.bind(this));
+    router.get('/pmtiles/check', this.check.bind(this));
+    router.post('/pmtiles/update', this.update.bind(this));
     router.post('/pmtiles/cancel', this.cancel.bind(this));
     router.delete('/pmtiles', this.delete.bind(this));
     return router;
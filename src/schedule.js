@@ -0,0 +1,107 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const NETWORK_TTL = 30000; // cache of the current Wi-Fi network (ms)
+const WINDOW = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+// Comma separated option as list of trimmed, non-empty values
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse time windows like "22:00-06:00, 12:00-13:30" into minutes of the day { start, end, text }
+ * Windows ending before they start span midnight
+ * Returns { windows, invalid: [items that are no valid window] }
+ */
+function parseWindows(value) {
+  const windows = [];
+  const invalid = [];
+  for (const item of parseList(value)) {
+    const match = WINDOW.exec(item);
+    const [start, end] = match ? [+match[1] * 60 + +match[2], +match[3] * 60 + +match[4]] : [];
+    if (!match || start >= 24 * 60 || end > 24 * 60 || +match[2] >= 60 || +match[4] >= 60) {
+      invalid.push(item);
+      continue;
+    }
+    windows.push({ start, end, text: item });
+  }
+  return { windows, invalid };
+}
+
+function inWindow({ start, end }, minutes) {
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Schedule class decides whether queued downloads may run now:
+ * within one of the `downloadWindows` (local time) and connected to one of the `downloadNetworks` (Wi-Fi SSID)
+ */
+class Schedule {
+  constructor(seamap) {
+    this.seamap = seamap;
+    this.network = null; // { ssid, time }
+    this.windows = []; // parsed `downloadWindows`, see initialize
+  }
+
+  /**
+   * Parse the download windows of the plugin options once on start, invalid windows are reported as plugin error
+   */
+  initialize() {
+    const { windows, invalid } = parseWindows(this.seamap.options.downloadWindows);
+    this.windows = windows;
+    if (invalid.length) {
+      this.seamap.app?.setPluginError?.(`Invalid download windows ignored: ${invalid.join(', ')}`);
+    }
+  }
+
+  /**
+   * Reason why downloads are paused now, null if they may run
+   */
+  async check(now = new Date()) {
+    const { downloadNetworks } = this.seamap.options;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    if (this.windows.length && !this.windows.some(window => inWindow(window, minutes))) {
+      return `Outside download windows (${this.windows.map(window => window.text).join(', ')})`;
+    }
+
+    const networks = parseList(downloadNetworks);
+    if (networks.length) {
+      const ssid = await this.currentNetwork();
+      if (!ssid) return 'Not connected to a download network';
+      if (!networks.includes(ssid)) return `Network ${ssid} is not a download network`;
+    }
+    return null;
+  }
+
+  /**
+   * SSID of the connected Wi-Fi network (NetworkManager or wireless tools), null if unknown
+   */
+  async currentNetwork() {
+    if (this.network && Date.now() - this.network.time < NETWORK_TTL) {
+      return this.network.ssid;
+    }
+
+    let ssid = null;
+    try {
+      const { stdout } = await execFileAsync('nmcli', ['-t', '-f', 'active,ssid', 'dev', 'wifi'], { timeout: 5000 });
+      const active = stdout.split('\n').find(line => line.startsWith('yes:'));
+      ssid = active ? active.slice(4).replace(/\\:/g, ':') : null;
+    } catch (err) {
+      try {
+        const { stdout } = await execFileAsync('iwgetid', ['-r'], { timeout: 5000 });
+        ssid = stdout.trim() || null;
+      } catch (err) {
+        // no wireless tools, network unknown
+      }
+    }
+
+    this.network = { ssid, time: Date.now() };
+    return ssid;
+  }
+}
+
+module.exports = Schedule;
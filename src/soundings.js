@@ -1,5 +1,6 @@
 const encodeVectorTile = require('./maplibre-contour/vtpbf.js').default;
 const { GeomType } = require('./maplibre-contour/vtpbf.js');
+const { parseDepthUnit, toUnit, soundingProperties } = require('./units');
 
 /**
  * Seeded random number generator using Linear Congruential Generator (LCG)
@@ -57,13 +58,15 @@ class Soundings {
   }
 
   /**
-   * Generate soundings tile
+   * Generate soundings tile, depth and label in unit (see soundingProperties)
+   * correction (metres) is added to the depths: datum offset of the source, plus tide height for depth now
    */
-  async generateSoundingsTile(name, z, x, y) {
+  async generateSoundingsTile(name, z, x, y, unit = parseDepthUnit(null, this.seamap.options), correction = this.contours.getDatumOffset(name)) {
     let heightTile = await this.contours.loadDemTile(name, z, x, y);
     if (!heightTile) {
       return null;
     }
+    heightTile = this.contours.correctDepths(heightTile, correction);
 
     // Upscale for better sampling
     const subsampleBelow = 100;
@@ -96,9 +99,7 @@ class Soundings {
 
         // Skip NaN or invalid values
         if (!isNaN(elevation) && elevation < 0) {
-          const properties = {
-            depth: Math.round(Math.abs(elevation) * 10) / 10
-          };
+          const properties = soundingProperties(Math.abs(elevation), unit);
 
           pointFeatures.push({
             type: GeomType.POINT,
@@ -126,9 +127,10 @@ class Soundings {
 
   /**
    * Get soundings tile (unified interface like tiles.getTile)
+   * tideHeight (metres, null for charted depths) gives depth now soundings
    * Returns { timestamp, data: Buffer } or null
    */
-  async getTile(name, z, x, y) {
+  async getTile(name, z, x, y, unit = parseDepthUnit(null, this.seamap.options), tideHeight = null) {
     const zNum = parseInt(z);
     const xNum = parseInt(x);
     const yNum = parseInt(y);
@@ -137,20 +139,22 @@ class Soundings {
       return null;
     }
 
-    // Check cache first
-    let cachedTile = this.contours.tiles.getCachedTile('soundings', name, zNum, xNum, yNum);
+    // Check cache first, soundings of other units, datum offsets and tide heights are cached under another key
+    const cacheSource = this.cacheSource(name, unit, tideHeight);
+    let cachedTile = this.contours.tiles.getCachedTile('soundings', cacheSource, zNum, xNum, yNum);
     let sourceTile = await this.contours.tiles.getTile(name, zNum, xNum, yNum).catch(() => null);
 
     // Regenerate if cache is missing or source is newer
     if (!cachedTile || (sourceTile?.timestamp > cachedTile.timestamp)) {
-      const tileData = await this.generateSoundingsTile(name, zNum, xNum, yNum);
+      const correction = this.contours.getDatumOffset(name) + (tideHeight || 0);
+      const tileData = await this.generateSoundingsTile(name, zNum, xNum, yNum, unit, correction);
 
       if (!tileData) {
         return null;
       }
 
       // Save to cache
-      this.contours.tiles.saveTileToCache('soundings', name, zNum, xNum, yNum, tileData);
+      this.contours.tiles.saveTileToCache('soundings', cacheSource, zNum, xNum, yNum, tileData);
 
       return {
         timestamp: Date.now(),
@@ -164,35 +168,87 @@ class Soundings {
     };
   }
 
+  /**
+   * Cache source of soundings in unit: "{name}@{unit}", with the datum offset if set, e.g. "emod@m+0.5"
+   * and the tide height of depth now soundings, e.g. "emod@m+0.5-tide-0.3"
+   */
+  cacheSource(name, unit, tideHeight = null) {
+    const offset = this.contours.getDatumOffset(name);
+    const tide = tideHeight === null ? '' : `-tide${tideHeight >= 0 ? '+' : ''}${tideHeight}`;
+    return `${name}@${unit}${offset ? `${offset > 0 ? '+' : ''}${offset}` : ''}${tide}`;
+  }
+
+  /**
+   * Validate depth_unit and tide query parameters, sends the error response if invalid
+   * Returns { unit, tideHeight } (tideHeight null for charted depths) or null
+   * The tide height is rounded to 0.1 m, depth now tiles are cached per step
+   */
+  parseQuery(req, res) {
+    const unit = parseDepthUnit(req.query.depth_unit, this.seamap.options);
+    if (!unit) {
+      res.status(400).json({ error: 'Invalid depth_unit parameter', message: 'Depth unit must be m, ft or fm' });
+      return null;
+    }
+    if (req.query.tide === undefined) {
+      return { unit, tideHeight: null };
+    }
+    if (req.query.tide !== 'now') {
+      res.status(400).json({ error: 'Invalid tide parameter', message: 'Tide must be now' });
+      return null;
+    }
+
+    const tideHeight = this.contours.getTideHeight();
+    if (tideHeight === null) {
+      res.status(503).json({ error: 'Tide height not available', message: 'Enable tideCorrection and provide environment.tide.heightNow in Signal K' });
+      return null;
+    }
+    return { unit, tideHeight: Math.round(tideHeight * 10) / 10 };
+  }
+
   async deliverTileJSON(req, res) {
     const { name } = req.params;
+    const query = this.parseQuery(req, res);
+    if (!query) return;
+    const { unit, tideHeight } = query;
+    const tideNow = tideHeight !== null;
 
     // Verify source exists
     const Pmtiles = require('./pmtiles');
-    const source = Pmtiles.SOURCES().find(s => s.name === name);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     if (!source) {
       return res.status(404).send('Source not found');
     }
 
+    const params = new URLSearchParams({
+      ...(req.query.depth_unit ? { depth_unit: unit } : {}),
+      ...(tideNow ? { tide: 'now' } : {})
+    }).toString();
+
     res.set('Content-Type', 'application/json');
-    res.set('Cache-Control', 'public, max-age=3600');
+    res.set('Cache-Control', tideNow ? 'no-cache' : 'public, max-age=3600');
     res.json({
       tilejson: '3.0.0',
-      name: `${name}-soundings`,
-      description: `Spot soundings for ${name}`,
+      name: `${name}-soundings${tideNow ? '-now' : ''}`,
+      description: tideNow ? `Spot soundings for ${name} at the current tide height` : `Spot soundings for ${name}`,
       version: '1.0.0',
       attribution: source.attribution || '',
       scheme: 'xyz',
-      tiles: [`${req.query.base_url || ''}/plugins/signalk-seamap-plugin/soundings/${name}/{z}/{x}/{y}.pbf`],
+      tiles: [`${req.query.base_url || ''}/plugins/signalk-seamap-plugin/soundings/${name}/{z}/{x}/{y}.pbf${params ? `?${params}` : ''}`],
       minzoom: source.minzoom + 1, // because of overzoom=1
       maxzoom: 14,
       bounds: [-180, -85, 180, 85],
       center: [0, 0, 1],
       format: 'pbf',
+      depth_unit: unit,
+      datum_offset: toUnit(this.contours.getDatumOffset(name), unit),
+      ...(tideNow ? { tide_height: toUnit(tideHeight, unit) } : {}),
       vector_layers: [{
         id: 'soundings',
         fields: {
-          depth: 'Number'
+          depth: 'Number',
+          label: 'String',
+          fathoms: 'Number',
+          feet: 'Number'
         }
       }]
     });
@@ -200,16 +256,17 @@ class Soundings {
 
   async deliverTile(req, res) {
     const { name, z, x, y } = req.params;
+    const query = this.parseQuery(req, res);
+    if (!query) return;
+    const { unit, tideHeight } = query;
 
-    const tile = await this.getTile(name, z, x, y);
+    const tile = await this.getTile(name, z, x, y, unit, tideHeight);
 
     if (!tile) {
       return res.status(204).send();
     }
 
-    res.set('Content-Type', 'application/x-protobuf');
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(tile.data);
+    await this.contours.tiles.sendTile(req, res, tile, 'application/x-protobuf', { backend: 'soundings', source: this.cacheSource(name, unit, tideHeight), z: parseInt(z), x: parseInt(x), y: parseInt(y) });
   }
 
   middleware(router) {
@@ -1,8 +1,28 @@
 const path = require('path');
 const fs = require('fs');
+const Pmtiles = require('./pmtiles');
+const { UNITS, parseDepthUnit } = require('./units');
 
 const STYLES_DIR = path.join(__dirname, '..', 'styles');
 
+/**
+ * Replace placeholders in all strings of a parsed style template
+ * Strings in `text` are replaced within the string, strings equal to a key of `values` become that value (e.g. numbers)
+ */
+function substitute(value, text, values = {}) {
+  if (typeof value === 'string') {
+    if (value in values) return values[value];
+    return Object.entries(text).reduce((result, [placeholder, replacement]) => result.replaceAll(placeholder, replacement), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, text, values));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, text, values)]));
+  }
+  return value;
+}
+
 class Styles {
   constructor(seamap) {
     this.seamap = seamap;
@@ -16,21 +36,69 @@ class Styles {
     if (!resolvedPath.startsWith(path.resolve(STYLES_DIR))) {
       return res.status(403).send('Forbidden');
     }
+    const unit = parseDepthUnit(req.query.depth_unit, this.seamap.options);
+    if (!unit) {
+      return res.status(400).json({ error: 'Invalid depth_unit parameter', message: 'Depth unit must be m, ft or fm' });
+    }
+    const baseUrl = typeof req.query.base_url === 'string' ? req.query.base_url : '';
+    const bathymetry = typeof req.query.bathymetry === 'string' && req.query.bathymetry ? req.query.bathymetry : 'gebco';
+
     fs.readFile(filePath, 'utf8', (err, data) => {
       if (err) {
         return res.status(404).send('Style not found');
       }
 
+      let template;
+      try {
+        template = JSON.parse(data);
+      } catch (err) {
+        console.error(`Invalid style template ${name}:`, err.message);
+        return res.status(500).json({ error: 'Invalid style template', message: err.message });
+      }
+
+      const style = substitute(template, {
+        '{BASE_URL}': baseUrl,
+        '{BASE_URL_ENCODED}': encodeURIComponent(baseUrl),
+        '{BATHYMETRY}': bathymetry,
+        '{DEPTH_UNIT}': unit
+      }, {
+        '{DEPTH_SCALE}': 1 / UNITS[unit] // depth thresholds of the style are in metres
+      });
+      this.addUserSources(style, baseUrl);
+
       res.set('Content-Type', 'application/json');
       res.set('Cache-Control', 'public, max-age=3600');
-      res.send(data
-        .replaceAll('{BASE_URL}', req.query.base_url || '')
-        .replaceAll('{BASE_URL_ENCODED}', encodeURIComponent(req.query.base_url || ''))
-        .replaceAll('{BATHYMETRY}', req.query.bathymetry || 'gebco')
-      );
+      res.json(style);
     });
   }
 
+  /**
+   * Add user-defined sources to the style
+   * Raster sources (without DEM encoding) are drawn as overlay below the first symbol layer
+   */
+  addUserSources(style, baseUrl) {
+    const sources = Pmtiles.getSources(this.seamap.options).filter(s => s.userDefined);
+
+    for (const source of sources) {
+      if (style.sources[source.name]) continue;
+
+      const type = source.format === 'pbf' ? 'vector' : (source.encoding ? 'raster-dem' : 'raster');
+      style.sources[source.name] = {
+        type,
+        url: `${baseUrl}/plugins/signalk-seamap-plugin/tiles/${source.name}.json?base_url=${encodeURIComponent(baseUrl)}`
+      };
+
+      if (type === 'raster') {
+        const index = style.layers.findIndex(l => l.type === 'symbol');
+        style.layers.splice(index >= 0 ? index : style.layers.length, 0, {
+          id: `${source.name}_raster`,
+          type: 'raster',
+          source: source.name
+        });
+      }
+    }
+  }
+
   middleware(router) {
     router.get('/styles/:name.json', this.getStyle.bind(this));
     return router;
@@ -0,0 +1,348 @@
+const path = require('path');
+const fs = require('fs');
+const encodeVectorTile = require('./maplibre-contour/vtpbf.js').default;
+const { GeomType } = require('./maplibre-contour/vtpbf.js');
+const { lngLatToTile } = require('./coverage');
+const { constituentName, predictHeight, findExtremes } = require('./harmonics');
+
+const STATION_ID = /^[\w-]+$/;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_RANGE = 31 * 86400000; // predictions per request (ms)
+const PUBLISH_INTERVAL = 60000; // Signal K environment.tide updates (ms)
+const EXTREMES_AHEAD = 26 * 3600000; // search window for the next high and low water (ms)
+const EXTREMES_RETRY = 3600000; // search again after an hour when no high or low water was found (ms)
+const EARTH_RADIUS_NM = 3440.065;
+
+function distanceNm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const a = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lon2 - lon1) * rad / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.sqrt(a));
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Validate a harmonic constituent file: { stations: [{ id, name, latitude, longitude, datum, z0, constituents }] }
+ * Constituents as { M2: { amplitude, phase }, ... } or [{ name, amplitude, phase }], unknown constituents are ignored
+ * Throws on invalid stations
+ */
+function parseStations(data) {
+  const stations = Array.isArray(data) ? data : data?.stations;
+  if (!Array.isArray(stations) || !stations.length) {
+    throw new Error('No stations in constituent file');
+  }
+
+  return stations.map(station => {
+    const { id, latitude, longitude } = station || {};
+    if (!STATION_ID.test(id || '')) {
+      throw new Error(`Invalid station id: ${id} (letters, digits, "_" and "-" only)`);
+    }
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      throw new Error(`Invalid position of station ${id}`);
+    }
+
+    const list = Array.isArray(station.constituents)
+      ? station.constituents
+      : Object.entries(station.constituents || {}).map(([name, constituent]) => ({ name, ...constituent }));
+    const constituents = [];
+    const ignored = [];
+    for (const constituent of list) {
+      const name = constituentName(constituent?.name);
+      const amplitude = Number(constituent?.amplitude);
+      const phase = Number(constituent?.phase);
+      if (!name || !isFinite(amplitude) || !isFinite(phase)) {
+        ignored.push(String(constituent?.name));
+        continue;
+      }
+      constituents.push({ name, amplitude, phase });
+    }
+    if (!constituents.length) {
+      throw new Error(`No known constituents for station ${id}`);
+    }
+
+    return {
+      id,
+      name: station.name || id,
+      latitude,
+      longitude,
+      datum: station.datum || '',
+      z0: Number(station.z0) || 0,
+      constituents,
+      ...(ignored.length ? { ignored } : {})
+    };
+  });
+}
+
+// Request body as string, rejects bodies beyond MAX_FILE_SIZE
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_FILE_SIZE) {
+      throw new Error(`Constituent file larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Tides class predicts tidal heights offline from harmonic constituents of tide stations
+ * Stations are stored in {pmtilesPath}/tides/stations.json, the height at the nearest station
+ * is published to Signal K under environment.tide
+ */
+class Tides {
+  constructor(seamap) {
+    this.seamap = seamap;
+    this.memo = null; // { mtime, stations }
+    this.publishing = false; // environment.tide values sent for a station
+    this.extremes = null; // { station, high, low, until } next high and low water, cached until one has passed
+  }
+
+  storePath() {
+    const { pmtilesPath } = this.seamap.options;
+    return pmtilesPath ? path.join(pmtilesPath, 'tides', 'stations.json') : null;
+  }
+
+  // Modification time of the station store, 0 without stations
+  storeTime() {
+    try {
+      return fs.statSync(this.storePath()).mtimeMs;
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  /**
+   * Stations of the local store, memoized until the file changes
+   */
+  getStations() {
+    const mtime = this.storeTime();
+    if (!mtime) return [];
+    if (this.memo?.mtime === mtime) return this.memo.stations;
+
+    let stations = [];
+    try {
+      stations = parseStations(JSON.parse(fs.readFileSync(this.storePath(), 'utf8')));
+    } catch (err) {
+      console.error('Error reading tide stations:', err.message);
+    }
+    this.memo = { mtime, stations };
+    return stations;
+  }
+
+  async saveStations(stations) {
+    const file = this.storePath();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ stations: stations.map(({ ignored, ...station }) => station) }, null, 2));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  initialize() {
+    clearInterval(this.publishTimer);
+    this.publishTimer = setInterval(() => this.publishDelta(), PUBLISH_INTERVAL);
+    this.publishDelta();
+  }
+
+  stop() {
+    clearInterval(this.publishTimer);
+  }
+
+  /**
+   * Nearest station within `tideStationRange` nm (0 = any distance) of position { latitude, longitude }
+   */
+  nearestStation(position) {
+    if (!isFinite(position?.latitude) || !isFinite(position?.longitude)) return null;
+    const range = Number(this.seamap.options.tideStationRange ?? 50);
+
+    let nearest = null;
+    for (const station of this.getStations()) {
+      const distance = distanceNm(position.latitude, position.longitude, station.latitude, station.longitude);
+      if ((!range || distance <= range) && (!nearest || distance < nearest.distance)) {
+        nearest = { station, distance };
+      }
+    }
+    return nearest?.station || null;
+  }
+
+  /**
+   * Next high and low water of the station after now, searched again only when one of them has passed
+   */
+  nextExtremes(station, now) {
+    if (this.extremes?.station === station && this.extremes.until > now) return this.extremes;
+
+    const extremes = findExtremes(station, now, now + EXTREMES_AHEAD);
+    const high = extremes.find(extreme => extreme.type === 'high');
+    const low = extremes.find(extreme => extreme.type === 'low');
+    this.extremes = {
+      station,
+      high,
+      low,
+      until: Math.min(high?.time ?? now + EXTREMES_RETRY, low?.time ?? now + EXTREMES_RETRY)
+    };
+    return this.extremes;
+  }
+
+  /**
+   * Current height and next high and low water of the nearest station as Signal K delta under environment.tide
+   * Values are cleared once when the vessel leaves the range of all stations
+   */
+  publishDelta(now = Date.now()) {
+    const app = this.seamap.app;
+    if (!app?.handleMessage) return;
+
+    const station = this.nearestStation(app.getSelfPath?.('navigation.position.value'));
+    if (!station && !this.publishing) return;
+
+    let values;
+    if (station) {
+      const { high, low } = this.nextExtremes(station, now);
+      values = [
+        { path: 'environment.tide.heightNow', value: round(predictHeight(station, now)) },
+        { path: 'environment.tide.heightHigh', value: high ? round(high.height) : null },
+        { path: 'environment.tide.timeHigh', value: high ? new Date(high.time).toISOString() : null },
+        { path: 'environment.tide.heightLow', value: low ? round(low.height) : null },
+        { path: 'environment.tide.timeLow', value: low ? new Date(low.time).toISOString() : null }
+      ];
+    } else {
+      values = ['heightNow', 'heightHigh', 'timeHigh', 'heightLow', 'timeLow'].map(key => ({ path: `environment.tide.${key}`, value: null }));
+    }
+
+    const update = { values };
+    if (!this.deltaMetaSent) {
+      this.deltaMetaSent = true;
+      update.meta = [
+        { path: 'environment.tide.heightNow', value: { units: 'm', description: 'Predicted tide height above chart datum at the nearest tide station' } },
+        { path: 'environment.tide.heightHigh', value: { units: 'm', description: 'Predicted height of the next high water' } },
+        { path: 'environment.tide.heightLow', value: { units: 'm', description: 'Predicted height of the next low water' } }
+      ];
+    }
+    this.publishing = !!station;
+    try {
+      app.handleMessage(this.seamap.id, { updates: [update] });
+    } catch (err) {
+      console.error('Error publishing tide delta:', err);
+    }
+  }
+
+  /**
+   * Vector tile with the tide stations as points (layer tide_stations), null without stations in the tile
+   * Returns { timestamp, data: Buffer } or null
+   */
+  async getTile(z, x, y) {
+    const extent = 4096;
+    const features = [];
+    for (const station of this.getStations()) {
+      const [tx, ty] = lngLatToTile([station.longitude, station.latitude], z);
+      if (Math.floor(tx) !== x || Math.floor(ty) !== y) continue;
+      features.push({
+        type: GeomType.POINT,
+        geometry: [[Math.round((tx - x) * extent), Math.round((ty - y) * extent)]],
+        properties: { id: station.id, name: station.name, datum: station.datum }
+      });
+    }
+    if (!features.length) return null;
+
+    return {
+      timestamp: this.storeTime(),
+      data: Buffer.from(encodeVectorTile({ extent, layers: { tide_stations: { features } } }))
+    };
+  }
+
+  // GET /tides - Stations of the local store
+  list(req, res) {
+    res.json({
+      stations: this.getStations().map(({ id, name, latitude, longitude, datum, constituents }) => ({
+        id, name, latitude, longitude, datum, constituents: constituents.length
+      }))
+    });
+  }
+
+  // GET /tides/:station?from=&to=&interval= - Predicted heights and high/low waters
+  predict(req, res) {
+    const station = this.getStations().find(s => s.id === req.params.station);
+    if (!station) {
+      return res.status(404).json({ error: 'Station not found', message: `No tide station ${req.params.station}` });
+    }
+
+    const from = req.query.from ? Date.parse(req.query.from) : Date.now();
+    const to = req.query.to ? Date.parse(req.query.to) : from + 86400000;
+    const interval = Number(req.query.interval ?? 10);
+    if (isNaN(from) || isNaN(to) || to <= from || to - from > MAX_RANGE) {
+      return res.status(400).json({ error: 'Invalid time range', message: 'from and to must be ISO dates, to after from and at most 31 days apart' });
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > 1440) {
+      return res.status(400).json({ error: 'Invalid interval', message: 'Interval must be 1 to 1440 minutes' });
+    }
+
+    const heights = [];
+    for (let time = from; time <= to; time += interval * 60000) {
+      heights.push({ time: new Date(time).toISOString(), height: round(predictHeight(station, time)) });
+    }
+
+    res.json({
+      station: { id: station.id, name: station.name, latitude: station.latitude, longitude: station.longitude, datum: station.datum },
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      interval,
+      units: 'm',
+      heights,
+      extremes: findExtremes(station, from, to).map(({ time, height, type }) => ({ time: new Date(time).toISOString(), height: round(height), type }))
+    });
+  }
+
+  // POST /tides - Load a harmonic constituent file (JSON) into the local store, stations with the same id are replaced
+  async import(req, res) {
+    if (!this.storePath()) {
+      return res.status(500).json({ error: 'No pmtiles path configured' });
+    }
+
+    let stations;
+    try {
+      stations = parseStations(req.body && Object.keys(req.body).length ? req.body : JSON.parse(await readBody(req)));
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid constituent file', message: err.message });
+    }
+
+    const ids = new Set(stations.map(station => station.id));
+    const merged = this.getStations().filter(station => !ids.has(station.id)).concat(stations);
+    try {
+      await this.saveStations(merged);
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to save tide stations', message: err.message });
+    }
+
+    res.json({
+      status: 'imported',
+      stations: stations.map(station => station.id),
+      ignored: Object.fromEntries(stations.filter(station => station.ignored).map(station => [station.id, station.ignored])),
+      total: merged.length
+    });
+  }
+
+  // DELETE /tides/:station - Remove a station from the local store
+  async remove(req, res) {
+    const stations = this.getStations();
+    if (!stations.some(station => station.id === req.params.station)) {
+      return res.status(404).json({ error: 'Station not found', message: `No tide station ${req.params.station}` });
+    }
+    try {
+      await this.saveStations(stations.filter(station => station.id !== req.params.station));
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to save tide stations', message: err.message });
+    }
+    res.json({ status: 'removed', station: req.params.station });
+  }
+
+  middleware(router) {
+    router.get('/tides', this.list.bind(this));
+    router.post('/tides', this.import.bind(this));
+    router.get('/tides/:station', this.predict.bind(this));
+    router.delete('/tides/:station', this.remove.bind(this));
+    return router;
+  }
+}
+
+module.exports = Tides;
@@ -2,87 +2,88 @@ const fs = require("fs");
 const path = require("path");
 const https = require("https");
 const http = require("http");
-const { PMTiles } = require("pmtiles");
-
-class FileSource {
-  constructor(filename) {
-    this.filename = filename;
-    this.fd = fs.openSync(filename, "r");
-  }
-  getKey() {
-    return this.filename;
-  }
-  async getBytes(offset, length) {
-    const buffer = Buffer.alloc(length);
-    await new Promise((resolve, reject) => {
-      fs.read(this.fd, buffer, 0, length, offset, (err) => err ? reject(err) : resolve());
-    });
-    return { data: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) };
-  }
-  close() {
-    fs.closeSync(this.fd);
-  }
-}
-
-class PMTilesCache {
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { PMTiles, FetchSource, Compression } = require("pmtiles");
+const MBTiles = require("./mbtiles");
+const FileSource = require("./filesource");
+const { overzoomTile, OVERZOOM_MAXZOOM } = require("./overzoom");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+// PMTiles tile compression to HTTP Content-Encoding
+const ENCODINGS = { [Compression.Gzip]: 'gzip', [Compression.Brotli]: 'br' };
+
+// Keep tiles compressed as stored in the archive, directories are still decompressed by the PMTiles cache
+const passThrough = async (buf) => buf;
+
+/**
+ * LRU cache of open offline archives (PMTiles and MBTiles)
+ */
+class ArchiveCache {
   constructor(maxSize = 50) {
     this.maxSize = maxSize;
-    this.cache = new Map(); // key: filename, value: { pmtiles, source }
+    this.cache = new Map(); // key: filename, value: { archive, close, mtime }
   }
 
-  async get(filePath) {
+  // mtime reopens archives replaced by a new download
+  async get(filePath, mtime) {
     if (this.cache.has(filePath)) {
       const value = this.cache.get(filePath);
       this.cache.delete(filePath);
-      this.cache.set(filePath, value);
-      return value.pmtiles;
+      if (mtime === undefined || value.mtime === mtime) {
+        this.cache.set(filePath, value);
+        return value.archive;
+      }
+      value.close();
     }
 
-    const source = new FileSource(filePath);
-    const pmtiles = new PMTiles(source);
+    let value;
+    if (filePath.endsWith('.mbtiles')) {
+      const archive = new MBTiles(filePath);
+      value = { archive, close: () => archive.close() };
+    } else {
+      const source = new FileSource(filePath);
+      value = { archive: new PMTiles(source, undefined, passThrough), close: () => source.close() };
+    }
 
     if (this.cache.size >= this.maxSize) {
       const oldestKey = this.cache.keys().next().value;
-      const oldest = this.cache.get(oldestKey);
-      await oldest.pmtiles.close();
-      oldest.source.close();
+      this.cache.get(oldestKey).close();
       this.cache.delete(oldestKey);
     }
 
-    this.cache.set(filePath, { pmtiles, source });
-    return pmtiles;
+    value.mtime = mtime;
+    this.cache.set(filePath, value);
+    return value.archive;
   }
 
   async closeAll() {
-    for (const { pmtiles, source } of this.cache.values()) {
-      await pmtiles.close();
-      source.close();
+    for (const { close } of this.cache.values()) {
+      close();
     }
     this.cache.clear();
   }
 }
 
 class Tiles {
-  constructor(seamap, pmtiles) {
+  constructor(seamap, pmtiles, cache, bandwidth) {
     this.seamap = seamap;
     this.pmtiles = pmtiles;
-    this.pmtilesCache = new PMTilesCache();
+    this.cache = cache;
+    this.bandwidth = bandwidth;
+    this.archiveCache = new ArchiveCache();
     this.onlinePmtilesCache = {};
-    this.isOnline = false;
+    this.isOnline = null; // null = unknown until first connectivity check
+    this.sourceFailures = {}; // key: source name, value: { failures, retryAt }
     this.pendingTiles = new Map(); // key: "name_z_x_y", value: Promise
+    this.refreshingTiles = new Set(); // key: "name_z_x_y"
     this.startConnectivityCheck();
   }
 
-  initializeTileCache() {
-    try {
-      if (!fs.existsSync(this.seamap.options.tilesPath)) {
-        fs.mkdirSync(this.seamap.options.tilesPath, { recursive: true });
-      }
-    } catch (err) {
-      console.error('Error initializing tile cache:', err);
-    }
-  }
-
   startConnectivityCheck() {
     // Check connectivity every 10 seconds
     this.checkConnectivity();
@@ -90,11 +91,17 @@ class Tiles {
   }
 
   checkConnectivity() {
+    // No requests at all in offline mode (e.g. metered connections)
+    if (this.seamap.options.offlineMode) {
+      this.updateStatus();
+      return;
+    }
+
     const Pmtiles = require('./pmtiles');
-    const sources = Pmtiles.SOURCES();
+    const sources = Pmtiles.getSources(this.seamap.options).filter(s => s.url && s.type === 'pmtiles');
 
     if (sources.length === 0) {
-      this.isOnline = false;
+      this.setOnline(false);
       return;
     }
 
@@ -112,54 +119,123 @@ class Tiles {
     const protocol = urlObj.protocol === 'https:' ? https : http;
 
     const req = protocol.request(options, (res) => {
-      this.isOnline = res.statusCode >= 200 && res.statusCode < 400;
+      this.setOnline(res.statusCode >= 200 && res.statusCode < 400);
     });
 
     req.on('error', () => {
-      this.isOnline = false;
+      this.setOnline(false);
     });
 
     req.on('timeout', () => {
       req.destroy();
-      this.isOnline = false;
+      this.setOnline(false);
     });
 
     req.end();
   }
 
-  getCachedTile(backend, source, z, x, y) {
-    if (!this.seamap.options.tilesPath) return null;
+  setOnline(isOnline) {
+    // Connection is back, give all sources a new chance
+    if (isOnline && this.isOnline === false) {
+      this.sourceFailures = {};
+    }
+    this.isOnline = isOnline;
+    this.updateStatus();
+  }
 
-    try {
-      const tilePath = path.join(this.seamap.options.tilesPath, backend, source, String(z), String(x), String(y));
-      if (fs.existsSync(tilePath)) {
-        return {
-          data: () => fs.readFileSync(tilePath),
-          timestamp: fs.statSync(tilePath).mtimeMs
-        };
-      }
-      return null;
-    } catch (err) {
-      console.error('Error getting cached tile:', err);
-      return null;
+  /**
+   * Check if online fetches are allowed for a source
+   * Skipped in offline mode, without connectivity and while a source backs off after failures
+   */
+  canFetchOnline(source) {
+    if (!source.url || this.seamap.options.offlineMode || this.isOnline === false) {
+      return false;
     }
+    const failure = this.sourceFailures[source.name];
+    return !failure || failure.retryAt <= Date.now();
   }
 
-  saveTileToCache(backend, source, z, x, y, data) {
-    if (!this.seamap.options.tilesPath) return;
+  /**
+   * Back off exponentially after failed online fetches (10s up to 10min)
+   */
+  registerFailure(source) {
+    const failures = (this.sourceFailures[source.name]?.failures || 0) + 1;
+    const delay = Math.min(10000 * Math.pow(2, failures - 1), 600000);
+    this.sourceFailures[source.name] = { failures, retryAt: Date.now() + delay };
+  }
 
-    try {
-      const tilePath = path.join(this.seamap.options.tilesPath, backend, source, String(z), String(x), String(y));
-      const tileDir = path.dirname(tilePath);
+  getStatus() {
+    const offlineMode = !!this.seamap.options.offlineMode;
+    return {
+      online: !offlineMode && this.isOnline !== false,
+      offlineMode,
+      connectivity: this.isOnline,
+      sources: Object.fromEntries(Object.entries(this.sourceFailures).map(([name, failure]) => [name, {
+        failures: failure.failures,
+        retryAt: new Date(failure.retryAt)
+      }]))
+    };
+  }
 
-      if (!fs.existsSync(tileDir)) {
-        fs.mkdirSync(tileDir, { recursive: true });
-      }
+  /**
+   * Publish online/offline state as Signal K plugin status message
+   */
+  updateStatus() {
+    const status = this.getStatus();
+    let message = 'Online';
+    if (status.offlineMode) message = 'Offline mode';
+    else if (this.isOnline === false) message = 'Offline, no connectivity';
+
+    if (message !== this.statusMessage) {
+      this.statusMessage = message;
+      this.seamap.app?.setPluginStatus?.(message);
+    }
+  }
 
-      fs.writeFileSync(tilePath, Buffer.from(data));
-    } catch (err) {
-      console.error('Error saving tile to cache:', err);
+  getCachedTile(backend, source, z, x, y, encoding) {
+    return this.cache.get(backend, source, z, x, y, encoding);
+  }
+
+  saveTileToCache(backend, source, z, x, y, data, encoding) {
+    this.cache.save(backend, source, z, x, y, data, encoding);
+  }
+
+  /**
+   * Read tile from a PMTiles archive
+   * Returns { data: Buffer } for uncompressed tiles, { encoded: { encoding, data: Buffer } } otherwise or null
+   * Compressed tiles are passed on as stored in the archive, see decodeTile
+   */
+  async readPmtilesTile(pmtiles, zNum, xNum, yNum) {
+    const tile = await pmtiles.getZxy(zNum, xNum, yNum);
+    if (!tile) {
+      return null;
+    }
+
+    const header = await pmtiles.getHeader();
+    const raw = Buffer.from(tile.data);
+    if (header.tileCompression === Compression.None || header.tileCompression === Compression.Unknown) {
+      return { data: raw };
+    }
+
+    const encoding = ENCODINGS[header.tileCompression];
+    if (!encoding) {
+      throw new Error(`Unsupported tile compression: ${header.tileCompression}`);
     }
+
+    return { encoded: { encoding, data: raw } };
+  }
+
+  /**
+   * Add decompressed data to a tile read compressed from an archive
+   * Only needed for clients without matching Accept-Encoding, overzoom and tile merging
+   */
+  async decodeTile(tile) {
+    if (!tile || tile.data) {
+      return tile;
+    }
+
+    const { encoding, data } = tile.encoded;
+    return { ...tile, data: encoding === 'gzip' ? await gunzip(data) : await brotliDecompress(data) };
   }
 
   reduceToZoom(z, x, y, targetZ) {
@@ -167,7 +243,53 @@ class Tiles {
     return [targetZ, Math.floor(x / scale), Math.floor(y / scale)];
   }
 
+  /**
+   * Highest zoom level served for a source, vector sources are overzoomed on the server
+   */
+  getMaxzoom(source) {
+    const isVector = source.format === 'pbf' && !source.encoding;
+    return isVector ? Math.max(source.maxzoom, OVERZOOM_MAXZOOM) : source.maxzoom;
+  }
+
+  /**
+   * Cut tile beyond source maxzoom out of the parent tile at maxzoom
+   * Overzoomed tiles are cached and regenerated when the parent tile is newer
+   * Returns { timestamp, data: Buffer } or null
+   */
+  async getOverzoomedTile(source, zNum, xNum, yNum) {
+    const [parentZ, parentX, parentY] = this.reduceToZoom(zNum, xNum, yNum, source.maxzoom);
+    const parentTile = await this.getRawTile(source.name, parentZ, parentX, parentY);
+    if (!parentTile) {
+      return null;
+    }
+
+    const cachedTile = this.getCachedTile('overzoom', source.name, zNum, xNum, yNum);
+    if (cachedTile && cachedTile.timestamp >= parentTile.timestamp) {
+      return { timestamp: cachedTile.timestamp, data: cachedTile.data() };
+    }
+
+    const { data: parentData } = await this.decodeTile(parentTile);
+    const data = overzoomTile(parentData, parentZ, zNum, xNum, yNum);
+    if (!data) {
+      return null;
+    }
+
+    this.saveTileToCache('overzoom', source.name, zNum, xNum, yNum, data);
+    return { timestamp: Date.now(), data };
+  }
+
+  /**
+   * Get tile with decompressed data
+   * Returns { timestamp, data: Buffer, encoded? } or null
+   */
   async getTile(name, z, x, y) {
+    return this.decodeTile(await this.getRawTile(name, z, x, y));
+  }
+
+  /**
+   * Get tile as stored, data may be missing for compressed archive tiles (see readPmtilesTile)
+   */
+  async getRawTile(name, z, x, y) {
     const zNum = parseInt(z);
     const xNum = parseInt(x);
     const yNum = parseInt(y);
@@ -192,6 +314,150 @@ class Tiles {
     return fetchPromise;
   }
 
+  /**
+   * Get freshness policy for a source in milliseconds
+   * maxAge: tiles younger than this are delivered without online check
+   * maxStale: expired tiles up to maxAge + maxStale are delivered at once and refreshed in background
+   */
+  getFreshness(source) {
+    const freshness = this.seamap.options.freshness?.[source.name] || {};
+    const day = 24 * 3600000;
+    return {
+      maxAge: (source.maxAge ?? freshness.maxAge ?? 7) * day,
+      maxStale: (source.maxStale ?? freshness.maxStale ?? 30) * day
+    };
+  }
+
+  /**
+   * Offline archives of a source that may contain the tile: the zoom 6 sector and downloaded areas
+   */
+  getOfflineFiles(source, zNum, xNum, yNum) {
+    if (source.path) {
+      return [source.path];
+    }
+
+    const Pmtiles = require('./pmtiles');
+    const options = this.seamap.options;
+    return [
+      path.join(options.pmtilesPath, this.reduceToZoom(zNum, xNum, yNum, 6).join("_"), source.output),
+      ...Pmtiles.getAreas(options)
+        .filter(area => Pmtiles.areaContains(area, zNum, xNum, yNum))
+        .map(area => path.join(area.dir, source.output))
+    ];
+  }
+
+  /**
+   * Get tile from file cache or offline PMTiles sector/area (whichever is newer)
+   * Sources with a local path are read from that archive (PMTiles or MBTiles) instead of the sector
+   * Returns { timestamp, data: Buffer, encoded? } or null
+   */
+  async getOfflineTile(source, zNum, xNum, yNum) {
+    const cachedTile = this.getCachedTile('tiles', source.name, zNum, xNum, yNum);
+    const cachedTime = cachedTile?.timestamp || 0;
+
+    // newest archive first, only archives newer than the cached tile
+    const archives = this.getOfflineFiles(source, zNum, xNum, yNum)
+      .filter(file => fs.existsSync(file))
+      .map(file => ({ file, mtime: fs.statSync(file).mtimeMs }))
+      .filter(({ mtime }) => mtime > cachedTime)
+      .sort((a, b) => b.mtime - a.mtime);
+
+    for (const { file, mtime } of archives) {
+      const archive = await this.archiveCache.get(file, mtime);
+      const tile = archive instanceof MBTiles
+        ? await archive.readTile(zNum, xNum, yNum)
+        : await this.readPmtilesTile(archive, zNum, xNum, yNum);
+      if (tile) {
+        return { timestamp: mtime, ...tile };
+      }
+    }
+
+    if (cachedTile) {
+      return { timestamp: cachedTile.timestamp, data: cachedTile.data() };
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch tile from an XYZ/TMS URL template ({z}, {x}, {y}, {-y} for flipped TMS rows)
+   * Returns { data: Buffer } or null if the tile does not exist
+   */
+  async fetchXyzTile(source, zNum, xNum, yNum) {
+    const tmsY = (1 << zNum) - 1 - yNum;
+    const url = source.url
+      .replaceAll('{z}', zNum)
+      .replaceAll('{x}', xNum)
+      .replaceAll('{-y}', tmsY)
+      .replaceAll('{y}', source.scheme === 'tms' ? tmsY : yNum);
+
+    const response = await fetch(url, { headers: source.headers, signal: AbortSignal.timeout(15000) });
+    if (response.status === 404 || response.status === 204) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    }
+
+    // size is known after the transfer, the wait throttles the following fetches
+    const data = Buffer.from(await response.arrayBuffer());
+    await this.bandwidth.take(data.length);
+    return { data };
+  }
+
+  /**
+   * Fetch tile from online PMTiles archive or XYZ/TMS server and save it to the file cache
+   * Skipped when offline or while the source backs off after failures
+   * Returns { timestamp, data: Buffer, encoded? } or null
+   */
+  async fetchOnlineTile(source, zNum, xNum, yNum) {
+    if (!this.canFetchOnline(source)) {
+      return null;
+    }
+
+    try {
+      let onlineTile;
+      if (source.type === 'xyz') {
+        onlineTile = await this.fetchXyzTile(source, zNum, xNum, yNum);
+      } else {
+        if (!this.onlinePmtilesCache[source.name]) {
+          const fetchSource = this.bandwidth.wrap(new FetchSource(source.url, new Headers(source.headers)));
+          this.onlinePmtilesCache[source.name] = new PMTiles(fetchSource, undefined, passThrough);
+        }
+        onlineTile = await this.readPmtilesTile(this.onlinePmtilesCache[source.name], zNum, xNum, yNum);
+      }
+      delete this.sourceFailures[source.name];
+      if (onlineTile) {
+        onlineTile = await this.decodeTile(onlineTile);
+        this.saveTileToCache('tiles', source.name, zNum, xNum, yNum, onlineTile.data);
+        if (onlineTile.encoded) {
+          this.saveTileToCache('tiles', source.name, zNum, xNum, yNum, onlineTile.encoded.data, onlineTile.encoded.encoding);
+        }
+        return { timestamp: Date.now(), ...onlineTile };
+      }
+    } catch (err) {
+      console.error('Error fetching tile from online:', err);
+      this.registerFailure(source);
+    }
+
+    return null;
+  }
+
+  /**
+   * Refresh an expired tile in background, the result is only written to the file cache
+   */
+  refreshTile(source, zNum, xNum, yNum) {
+    const tileKey = `${source.name}_${zNum}_${xNum}_${yNum}`;
+    if (this.refreshingTiles.has(tileKey)) {
+      return;
+    }
+
+    this.refreshingTiles.add(tileKey);
+    this.fetchOnlineTile(source, zNum, xNum, yNum).finally(() => {
+      this.refreshingTiles.delete(tileKey);
+    });
+  }
+
   /**
    * Internal method to actually fetch tile data
    * @private
@@ -199,50 +465,42 @@ class Tiles {
   async fetchTile(name, zNum, xNum, yNum) {
     // Get source from SOURCES
     const Pmtiles = require('./pmtiles');
-    const source = Pmtiles.SOURCES().find(s => s.name === name);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     if (!source) {
       return null;
     }
 
     // Check if tile is within zoom range
-    if (zNum < source.minzoom || zNum > source.maxzoom) {
+    if (zNum < source.minzoom || zNum > this.getMaxzoom(source)) {
       return null;
     }
 
+    if (zNum > source.maxzoom) {
+      return this.getOverzoomedTile(source, zNum, xNum, yNum);
+    }
+
     // check offline cache
-    const cachedTile = this.getCachedTile('tiles', name, zNum, xNum, yNum);
-    const cachedTime = cachedTile?.timestamp || 0;
-    const pmtilesFile = path.join(this.seamap.options.pmtilesPath, this.reduceToZoom(zNum, xNum, yNum, 6).join("_"), source.output);
-    const pmtilesTime = fs.existsSync(pmtilesFile) ? fs.statSync(pmtilesFile).mtimeMs : 0;
-
-    // deliver offline tiles at least for one week #FIXME make configurable
-    if (Math.max(cachedTime, pmtilesTime) > Date.now() - 7 * 24 * 3600000) {
-      if (pmtilesTime > cachedTime) {
-        const pmtiles = await this.pmtilesCache.get(pmtilesFile);
-        const tile = await pmtiles.getZxy(zNum, xNum, yNum);
-        return { timestamp: pmtilesTime, data: Buffer.from(tile.data) };
-      } else {
-        return { timestamp: cachedTile.timestamp, data: cachedTile.data() };
+    const offlineTile = await this.getOfflineTile(source, zNum, xNum, yNum);
+    const { maxAge, maxStale } = this.getFreshness(source);
+
+    if (offlineTile) {
+      const age = Date.now() - offlineTile.timestamp;
+
+      // fresh tile: deliver without online check
+      if (age <= maxAge) {
+        return offlineTile;
       }
-    }
 
-    // fetch tile online
-    if (source.url) {
-      try {
-        if (!this.onlinePmtilesCache[source.name]) {
-          this.onlinePmtilesCache[source.name] = new PMTiles(source.url);
-        }
-        const onlineTile = await this.onlinePmtilesCache[source.name].getZxy(zNum, xNum, yNum);
-        if (onlineTile) {
-          this.saveTileToCache('tiles', name, zNum, xNum, yNum, onlineTile.data);
-          return { timestamp: Date.now() , data: Buffer.from(onlineTile.data) };
-        }
-      } catch (err) {
-        console.error('Error fetching tile from online:', err);
+      // stale tile: deliver at once and refresh in background
+      if (age <= maxAge + maxStale) {
+        this.refreshTile(source, zNum, xNum, yNum);
+        return offlineTile;
       }
     }
 
-    return null;
+    // fetch tile online, fall back to the expired offline tile
+    const onlineTile = await this.fetchOnlineTile(source, zNum, xNum, yNum);
+    return onlineTile || offlineTile;
   }
 
   async deliverTile(req, res) {
@@ -257,26 +515,115 @@ class Tiles {
 
     // Get source from SOURCES
     const Pmtiles = require('./pmtiles');
-    const source = Pmtiles.SOURCES().find(s => s.name === name);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     if (!source) {
       return res.status(404).send('Source not found');
     }
 
     // Check if tile is within zoom range
-    if (zNum < source.minzoom || zNum > source.maxzoom) {
+    if (zNum < source.minzoom || zNum > this.getMaxzoom(source)) {
       return res.status(204).send();
     }
 
-    // Use getTile to fetch the tile
-    const tileData = await this.getTile(name, zNum, xNum, yNum);
+    // Archive tiles stay compressed unless the client needs them decoded
+    const tileData = await this.getRawTile(name, zNum, xNum, yNum);
 
     if (!tileData) {
       return res.status(204).send();
     }
 
-    res.set('Content-Type', source.contentType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(tileData.data);
+    const backend = zNum > source.maxzoom ? 'overzoom' : 'tiles';
+    await this.sendTile(req, res, tileData, source.contentType, { backend, source: name, z: zNum, x: xNum, y: yNum });
+  }
+
+  /**
+   * Negotiate compressed representation of a tile based on Accept-Encoding
+   * - tiles compressed in the PMTiles archive are passed through as they are
+   * - vector tiles are compressed once and the variant is stored next to the cached tile
+   * cacheKey: { backend, source, z, x, y } of the cached tile, omit to not store variants
+   * Returns { encoding, data } (encoding null = uncompressed)
+   */
+  async encodeTile(req, tile, contentType, cacheKey) {
+    const encoding = this.negotiateEncoding(req, tile, contentType);
+    if (tile.encoded && encoding === tile.encoded.encoding) {
+      return tile.encoded;
+    }
+
+    tile = await this.decodeTile(tile);
+    if (!encoding) {
+      return { encoding: null, data: tile.data };
+    }
+
+    if (cacheKey) {
+      const { backend, source, z, x, y } = cacheKey;
+      const cached = this.getCachedTile(backend, source, z, x, y, encoding);
+      if (cached && cached.timestamp >= tile.timestamp) {
+        return { encoding, data: cached.data() };
+      }
+    }
+
+    const data = encoding === 'br'
+      ? await brotliCompress(tile.data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+      : await gzip(tile.data);
+
+    if (cacheKey) {
+      const { backend, source, z, x, y } = cacheKey;
+      this.saveTileToCache(backend, source, z, x, y, data, encoding);
+    }
+
+    return { encoding, data };
+  }
+
+  /**
+   * Content-Encoding a tile is sent with, null = uncompressed
+   */
+  negotiateEncoding(req, tile, contentType) {
+    if (tile.encoded && req.acceptsEncodings(tile.encoded.encoding)) {
+      return tile.encoded.encoding;
+    }
+
+    const encoding = contentType === 'application/x-protobuf' && req.acceptsEncodings('br', 'gzip');
+    return encoding && encoding !== 'identity' ? encoding : null;
+  }
+
+  /**
+   * Send tile with ETag and Last-Modified headers built from the tile timestamp
+   * Conditional requests (If-None-Match / If-Modified-Since) are answered with 304 before any (de)compression
+   */
+  async sendTile(req, res, tile, contentType, cacheKey) {
+    const encoding = this.negotiateEncoding(req, tile, contentType);
+    const timestamp = Math.floor(tile.timestamp);
+    // Size as stored, archive tiles are not decompressed for it
+    const size = (tile.encoded || tile).data.length;
+    const etag = `"${timestamp.toString(36)}-${size.toString(36)}${encoding ? `-${encoding}` : ''}"`;
+
+    res.set('ETag', etag);
+    res.set('Last-Modified', new Date(timestamp).toUTCString());
+    res.set('Cache-Control', 'public, no-cache');
+    res.set('Vary', 'Accept-Encoding');
+
+    const ifNoneMatch = req.get('If-None-Match');
+    const ifModifiedSince = req.get('If-Modified-Since');
+    let notModified = false;
+    if (ifNoneMatch) {
+      notModified = ifNoneMatch.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === etag || tag === '*');
+    } else if (ifModifiedSince) {
+      // HTTP dates have second precision
+      notModified = Math.floor(timestamp / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+    }
+
+    if (notModified) {
+      return res.status(304).end();
+    }
+
+    const { data } = await this.encodeTile(req, tile, contentType, cacheKey);
+    res.set('Content-Type', contentType);
+    if (encoding) {
+      res.set('Content-Encoding', encoding);
+    }
+    res.send(data);
   }
 
   async deliverTileJSON(req, res) {
@@ -284,7 +631,7 @@ class Tiles {
 
     // Get source from SOURCES
     const Pmtiles = require('./pmtiles');
-    const source = Pmtiles.SOURCES().find(s => s.name === name);
+    const source = Pmtiles.getSources(this.seamap.options).find(s => s.name === name);
     if (!source) {
       return res.status(404).send('Source not found');
     }
@@ -294,7 +641,7 @@ class Tiles {
     res.json({
       tilejson: '3.0.0',
       name: name,
-      description: `Tiles for ${name}`,
+      description: source.description || `Tiles for ${name}`,
       version: '1.0.0',
       attribution: source.attribution || '',
       scheme: 'xyz',
@@ -302,13 +649,20 @@ class Tiles {
       encoding: source.encoding,
       tileSize: source.tileSize,
       minzoom: source.minzoom,
-      maxzoom: source.maxzoom,
-      bounds: [-180, -85, 180, 85],
-      center: [0, 0, 1]
+      maxzoom: this.getMaxzoom(source),
+      bounds: source.bounds || [-180, -85, 180, 85],
+      center: source.center || [0, 0, 1],
+      vector_layers: source.vector_layers
     });
   }
 
+  // GET /status - Online/offline state and per source backoff
+  deliverStatus(req, res) {
+    res.json(this.getStatus());
+  }
+
   middleware(router) {
+    router.get('/status', this.deliverStatus.bind(this));
     router.get('/tiles/:name.json', this.deliverTileJSON.bind(this));
     router.get('/tiles/:name/:z/:x/:y.:format', this.deliverTile.bind(this));
     return router;
@@ -0,0 +1,52 @@
+// Metres per unit
+const UNITS = { m: 1, ft: 0.3048, fm: 1.8288 };
+const DEPTH_UNITS = ['m', 'ft', 'fm'];
+
+// Chart depth contours per unit, used when the configured levels are in another unit
+const DEPTH_LEVELS = {
+  m: [2, 5, 10, 20, 50],
+  ft: [6, 12, 18, 30, 60, 120, 300],
+  fm: [1, 2, 3, 5, 10, 20, 50]
+};
+
+// Soundings below this depth are written as fathoms and feet (e.g. 5 fathoms 3 feet)
+const FATHOMS_AND_FEET_BELOW = 11;
+
+/**
+ * Depth unit of a request, the plugin default without value
+ * Returns null for unknown units
+ */
+function parseDepthUnit(value, options = {}) {
+  const unit = value || options.depthUnit || 'm';
+  return DEPTH_UNITS.includes(unit) ? unit : null;
+}
+
+// Convert metres to unit, rounded to 2 decimals
+function toUnit(metres, unit) {
+  return Math.round(metres / UNITS[unit] * 100) / 100;
+}
+
+/**
+ * Feature properties of a sounding (depth in metres) in chart style:
+ * metres with one decimal in shallow water, whole feet, fathoms with feet in shallow water
+ * depth is the value in unit (one decimal), label the main text, feet the smaller suffix of fathom soundings
+ */
+function soundingProperties(metres, unit) {
+  const depth = Math.round(metres / UNITS[unit] * 10) / 10;
+  if (unit === 'm') {
+    return { depth, label: String(depth > 5 ? Math.round(depth) : depth) };
+  }
+  if (unit === 'ft') {
+    return { depth, label: String(Math.round(depth)) };
+  }
+
+  const totalFeet = Math.round(metres / UNITS.ft);
+  const fathoms = Math.floor(totalFeet / 6);
+  if (fathoms >= FATHOMS_AND_FEET_BELOW) {
+    return { depth, label: String(Math.round(depth)), fathoms: Math.round(depth) };
+  }
+  const feet = totalFeet % 6;
+  return { depth, label: String(fathoms), fathoms, ...(feet ? { feet } : {}) };
+}
+
+module.exports = { UNITS, DEPTH_UNITS, DEPTH_LEVELS, parseDepthUnit, toUnit, soundingProperties };
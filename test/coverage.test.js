@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  lngLatToTile,
+  flattenGeometry,
+  validateGeometries,
+  geometryBounds,
+  coverZoom,
+  coverGeometries,
+  bboxToGeometries
+} = require('../src/coverage');
+
+// North west corner of tile x/y at zoom z
+function tileToLngLat(x, y, z) {
+  const n = Math.pow(2, z);
+  return [x / n * 360 - 180, Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI];
+}
+
+// Tiles spanned by the bounds of the geometries at zoom z
+function boundsTiles(geometries, corridor, z) {
+  return geometries.reduce((sum, geometry) => {
+    const [west, south, east, north] = geometryBounds([geometry], corridor);
+    const [minX, minY] = lngLatToTile([west, north], z).map(Math.floor);
+    const [maxX, maxY] = lngLatToTile([east, south], z).map(value => Math.min(Math.floor(value), 2 ** z - 1));
+    return sum + (maxX - minX + 1) * (maxY - minY + 1);
+  }, 0);
+}
+
+const sortTiles = tiles => tiles.map(tile => tile.join('/')).sort();
+
+test('coverZoom picks the highest zoom within the tile limit', () => {
+  const geometries = bboxToGeometries([10, 54, 12, 55]);
+  for (const maxTiles of [1, 10, 100, 1000]) {
+    const z = coverZoom(geometries, 0, 14, maxTiles);
+    assert.ok(boundsTiles(geometries, 0, z) <= maxTiles || z === 0, `${maxTiles} tiles at zoom ${z}`);
+    if (z < 14) assert.ok(boundsTiles(geometries, 0, z + 1) > maxTiles, `${maxTiles} tiles at zoom ${z + 1}`);
+  }
+  assert.strictEqual(coverZoom(geometries, 0, 8, Infinity), 8);
+  assert.strictEqual(coverZoom(bboxToGeometries([-180, -85, 180, 85]), 0, 14, 4), 1);
+});
+
+test('coverGeometries covers a tile aligned bbox with exactly its tiles', () => {
+  const [west, north] = tileToLngLat(34, 22, 6);
+  const [east, south] = tileToLngLat(36, 24, 6);
+  const inset = 1e-6;
+  const tiles = coverGeometries(bboxToGeometries([west + inset, south + inset, east - inset, north - inset]), 0, 6);
+  assert.deepStrictEqual(sortTiles(tiles), ['34/22', '34/23', '35/22', '35/23']);
+});
+
+test('coverGeometries splits a bbox at the antimeridian', () => {
+  const geometries = bboxToGeometries([170, -10, -170, 10]);
+  assert.strictEqual(geometries.length, 2);
+  assert.deepStrictEqual(sortTiles(coverGeometries(geometries, 0, 2)), ['0/1', '0/2', '3/1', '3/2']);
+});
+
+test('coverGeometries keeps route corridors within the corridor width', () => {
+  const line = { type: 'LineString', coordinates: [[10, 54.5], [11, 54.5]] };
+  const z = 12;
+  const tiles = coverGeometries([line], 1, z);
+  const [rowX0, row] = lngLatToTile([10, 54.5], z).map(Math.floor);
+  const [rowX1] = lngLatToTile([11, 54.5], z).map(Math.floor);
+
+  // every tile along the line is covered
+  const keys = new Set(sortTiles(tiles));
+  for (let x = rowX0; x <= rowX1; x++) assert.ok(keys.has(`${x}/${row}`), `${x}/${row}`);
+
+  // 1 nm is about 1/4 tile at zoom 12 and 54.5°, so at most one row above and below the line
+  assert.ok(tiles.every(([x, y]) => Math.abs(y - row) <= 1 && x >= rowX0 - 1 && x <= rowX1 + 1));
+  assert.ok(tiles.length < (rowX1 - rowX0 + 3) * 3);
+});
+
+test('validateGeometries rejects invalid areas', () => {
+  const polygon = bboxToGeometries([10, 54, 11, 55]);
+  assert.strictEqual(validateGeometries(polygon, 0), null);
+  assert.strictEqual(validateGeometries([], 0), 'No geometry given');
+  assert.strictEqual(validateGeometries([{ type: 'Polygon', coordinates: [[[10, 54], [11, 54], [10, 54]]] }], 0), 'Polygon rings need at least 4 positions');
+  assert.strictEqual(validateGeometries([{ type: 'Polygon', coordinates: [[[10, 54], [200, 54], [11, 55], [10, 54]]] }], 0), 'Invalid coordinates');
+
+  const line = flattenGeometry({ type: 'Feature', geometry: { type: 'LineString', coordinates: [[10, 54], [11, 55]] } });
+  assert.strictEqual(validateGeometries(line, 0), 'LineString needs a corridor width in nautical miles');
+  assert.strictEqual(validateGeometries(line, 2), null);
+  assert.throws(() => flattenGeometry({ type: 'Point', coordinates: [10, 54] }), /Unsupported geometry type/);
+});
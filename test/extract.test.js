@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PMTiles, Compression, TileType, zxyToTileId, tileIdToZxy } = require('pmtiles');
+const FileSource = require('../src/filesource');
+const { Extract, tileRanges, mergeRanges, serializeDirectory, serializeHeader } = require('../src/extract');
+
+// PMTiles source reading from a buffer
+function bufferSource(buffer) {
+  return {
+    getKey: () => 'buffer',
+    getBytes: async (offset, length) => ({ data: buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + offset + length) })
+  };
+}
+
+// Uncompressed archive with one entry per tile, tiles: [{ z, x, y, data }]
+async function buildArchive(tiles) {
+  const blobs = tiles
+    .map(tile => ({ tileId: zxyToTileId(tile.z, tile.x, tile.y), data: Buffer.from(tile.data) }))
+    .sort((a, b) => a.tileId - b.tileId);
+  let offset = 0;
+  const entries = blobs.map(({ tileId, data }) => {
+    const entry = { tileId, offset, length: data.length, runLength: 1 };
+    offset += data.length;
+    return entry;
+  });
+
+  const root = await serializeDirectory(entries);
+  const metadata = zlib.gzipSync(JSON.stringify({ name: 'test' }));
+  const header = serializeHeader({
+    rootDirectoryOffset: 127,
+    rootDirectoryLength: root.length,
+    jsonMetadataOffset: 127 + root.length,
+    jsonMetadataLength: metadata.length,
+    leafDirectoryOffset: 127 + root.length + metadata.length,
+    leafDirectoryLength: 0,
+    tileDataOffset: 127 + root.length + metadata.length,
+    tileDataLength: offset,
+    numAddressedTiles: entries.length,
+    numTileEntries: entries.length,
+    numTileContents: entries.length,
+    clustered: true,
+    internalCompression: Compression.Gzip,
+    tileCompression: Compression.None,
+    tileType: TileType.Mvt,
+    minZoom: 0,
+    maxZoom: 8,
+    minLon: -180,
+    minLat: -85,
+    maxLon: 180,
+    maxLat: 85,
+    centerZoom: 0,
+    centerLon: 0,
+    centerLat: 0
+  });
+  return Buffer.concat([header, root, metadata, ...blobs.map(blob => blob.data)]);
+}
+
+test('tileRanges covers the ancestors and all descendants of a sector', () => {
+  const ranges = tileRanges(6, 34, 22, 0, 8);
+  assert.strictEqual(ranges.length, 9);
+
+  for (let zoom = 0; zoom <= 6; zoom++) {
+    const [first, last] = ranges[zoom];
+    assert.strictEqual(first, last);
+    const [z, x, y] = tileIdToZxy(first);
+    assert.deepStrictEqual([z, x, y], [zoom, 34 >> (6 - zoom), 22 >> (6 - zoom)]);
+  }
+
+  for (const zoom of [7, 8]) {
+    const [first, last] = ranges[zoom];
+    assert.strictEqual(last - first + 1, 4 ** (zoom - 6));
+    for (let tileId = first; tileId <= last; tileId++) {
+      const [z, x, y] = tileIdToZxy(tileId);
+      assert.deepStrictEqual([z, x >> (z - 6), y >> (z - 6)], [zoom, 34, 22]);
+    }
+  }
+});
+
+test('mergeRanges sorts and joins overlapping and adjacent ranges', () => {
+  assert.deepStrictEqual(mergeRanges([[10, 12], [1, 3], [4, 5], [11, 20], [30, 30]]), [[1, 5], [10, 20], [30, 30]]);
+});
+
+test('serializeDirectory round-trips through the pmtiles reader', async () => {
+  const tiles = [];
+  for (let x = 0; x < 16; x++) {
+    for (let y = 0; y < 16; y++) {
+      tiles.push({ z: 4, x, y, data: `4/${x}/${y}` });
+    }
+  }
+  tiles.push({ z: 0, x: 0, y: 0, data: 'root tile' });
+
+  const archive = new PMTiles(bufferSource(await buildArchive(tiles)));
+  const header = await archive.getHeader();
+  assert.strictEqual(header.numTileEntries, tiles.length);
+  assert.deepStrictEqual(await archive.getMetadata(), { name: 'test' });
+
+  for (const { z, x, y, data } of tiles) {
+    const tile = await archive.getZxy(z, x, y);
+    assert.strictEqual(Buffer.from(tile.data).toString(), data);
+  }
+  assert.strictEqual(await archive.getZxy(5, 0, 0), undefined);
+});
+
+test('Extract writes the tiles of a sector into a readable archive', async () => {
+  // sector 6/34/22 and its neighbour 6/35/22 with ancestors and descendants
+  const tiles = new Map();
+  for (const sectorX of [34, 35]) {
+    for (let z = 0; z <= 8; z++) {
+      const size = z > 6 ? 2 ** (z - 6) : 1;
+      const x0 = z > 6 ? sectorX * size : sectorX >> (6 - z);
+      const y0 = z > 6 ? 22 * size : 22 >> (6 - z);
+      for (let x = x0; x < x0 + size; x++) {
+        for (let y = y0; y < y0 + size; y++) {
+          tiles.set(`${z}/${x}/${y}`, { z, x, y, data: `${z}/${x}/${y}` });
+        }
+      }
+    }
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seamap-extract-'));
+  const filename = path.join(dir, 'sector.pmtiles');
+  try {
+    const archive = new PMTiles(bufferSource(await buildArchive([...tiles.values()])));
+    const bounds = { west: 11.25, south: 52.48, east: 16.88, north: 55.78 };
+    const extract = new Extract({ url: 'buffer' }, tileRanges(6, 34, 22, 0, 8), bounds, { archive });
+    await extract.plan();
+    await extract.write(filename);
+    assert.strictEqual(fs.statSync(filename).size, extract.totalBytes);
+
+    const source = new FileSource(filename);
+    try {
+      const result = new PMTiles(source);
+      const header = await result.getHeader();
+      assert.strictEqual(header.minZoom, 0);
+      assert.strictEqual(header.maxZoom, 8);
+
+      for (const { z, x, y, data } of tiles.values()) {
+        const inSector = z <= 6 ? (34 >> (6 - z)) === x && (22 >> (6 - z)) === y : x >> (z - 6) === 34 && y >> (z - 6) === 22;
+        const tile = await result.getZxy(z, x, y);
+        if (inSector) {
+          assert.strictEqual(Buffer.from(tile.data).toString(), data, `${z}/${x}/${y}`);
+        } else {
+          assert.strictEqual(tile, undefined, `${z}/${x}/${y}`);
+        }
+      }
+    } finally {
+      source.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { constituentName, predictHeight, findExtremes } = require('../src/harmonics');
+
+const HOUR = 3600000;
+const FROM = Date.UTC(2026, 0, 1);
+const TO = FROM + 3 * 24 * HOUR;
+
+test('constituentName matches names case-insensitive', () => {
+  assert.strictEqual(constituentName('m2'), 'M2');
+  assert.strictEqual(constituentName('Lambda2'), 'LAM2');
+  assert.strictEqual(constituentName('X9'), null);
+});
+
+test('a single M2 constituent gives high waters about 12.42 h apart', () => {
+  const station = { z0: 2, constituents: [{ name: 'M2', amplitude: 1, phase: 0 }] };
+  const extremes = findExtremes(station, FROM, TO);
+  const highs = extremes.filter(extreme => extreme.type === 'high');
+  const lows = extremes.filter(extreme => extreme.type === 'low');
+
+  assert.ok(highs.length >= 5 && lows.length >= 5);
+  for (let i = 1; i < highs.length; i++) {
+    assert.ok(Math.abs((highs[i].time - highs[i - 1].time) / HOUR - 12.42) < 0.01);
+  }
+  // high and low waters alternate
+  for (let i = 1; i < extremes.length; i++) {
+    assert.notStrictEqual(extremes[i].type, extremes[i - 1].type);
+  }
+
+  // amplitude with nodal factor of M2 (0.96 - 1.04)
+  for (const { height } of highs) assert.ok(height > 2.95 && height < 3.05, `high ${height}`);
+  for (const { height } of lows) assert.ok(height > 0.95 && height < 1.05, `low ${height}`);
+});
+
+test('a single S2 constituent with phase 0 has high water at 0 and 12 h UTC', () => {
+  const station = { constituents: [{ name: 'S2', amplitude: 0.5, phase: 0 }] };
+  const highs = findExtremes(station, FROM + HOUR, TO).filter(extreme => extreme.type === 'high');
+
+  assert.strictEqual(highs.length, 5);
+  for (const { time, height } of highs) {
+    assert.ok(Math.abs(((time - FROM) / HOUR + 0.5) % 12 - 0.5) < 1 / 60, new Date(time).toISOString());
+    assert.ok(Math.abs(height - 0.5) < 1e-6);
+  }
+  assert.ok(Math.abs(predictHeight(station, FROM + 3 * HOUR)) < 1e-6);
+});
+
+test('findExtremes only returns extremes within the time span', () => {
+  const station = { constituents: [{ name: 'M2', amplitude: 1, phase: 0 }, { name: 'S2', amplitude: 0.3, phase: 40 }] };
+  const from = FROM + 5 * HOUR;
+  const to = from + 24 * HOUR;
+  const extremes = findExtremes(station, from, to);
+  assert.ok(extremes.length >= 3);
+  assert.ok(extremes.every(({ time }) => time >= from && time < to));
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDepthUnit, toUnit, soundingProperties } = require('../src/units');
+
+test('parseDepthUnit falls back to the plugin default and rejects unknown units', () => {
+  assert.strictEqual(parseDepthUnit('fm'), 'fm');
+  assert.strictEqual(parseDepthUnit(undefined, { depthUnit: 'ft' }), 'ft');
+  assert.strictEqual(parseDepthUnit(undefined), 'm');
+  assert.strictEqual(parseDepthUnit('yd'), null);
+});
+
+test('toUnit converts metres rounded to 2 decimals', () => {
+  assert.strictEqual(toUnit(10, 'm'), 10);
+  assert.strictEqual(toUnit(10, 'ft'), 32.81);
+  assert.strictEqual(toUnit(10, 'fm'), 5.47);
+});
+
+test('soundingProperties writes metres with one decimal in shallow water only', () => {
+  assert.deepStrictEqual(soundingProperties(3.24, 'm'), { depth: 3.2, label: '3.2' });
+  assert.deepStrictEqual(soundingProperties(12.34, 'm'), { depth: 12.3, label: '12' });
+});
+
+test('soundingProperties rounds feet to whole feet', () => {
+  assert.deepStrictEqual(soundingProperties(10, 'ft'), { depth: 32.8, label: '33' });
+  assert.deepStrictEqual(soundingProperties(1, 'ft'), { depth: 3.3, label: '3' });
+});
+
+test('soundingProperties writes fathoms and feet below 11 fathoms', () => {
+  // 33 ft = 5 fathoms 3 feet
+  assert.deepStrictEqual(soundingProperties(10, 'fm'), { depth: 5.5, label: '5', fathoms: 5, feet: 3 });
+  // exactly 2 fathoms, no feet
+  assert.deepStrictEqual(soundingProperties(3.6576, 'fm'), { depth: 2, label: '2', fathoms: 2 });
+  // 65 ft = 10 fathoms 5 feet
+  assert.deepStrictEqual(soundingProperties(19.812, 'fm'), { depth: 10.8, label: '10', fathoms: 10, feet: 5 });
+});
+
+test('soundingProperties writes whole fathoms from 11 fathoms', () => {
+  assert.deepStrictEqual(soundingProperties(20.1168, 'fm'), { depth: 11, label: '11', fathoms: 11 });
+  assert.deepStrictEqual(soundingProperties(30, 'fm'), { depth: 16.4, label: '16', fathoms: 16 });
+});